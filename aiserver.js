@@ -4,6 +4,10 @@ import { GoogleGenerativeAI } from "@google/generative-ai";
 import dotenv from "dotenv";
 // ⭐️ Import the new PredictionEngine
 import PredictionEngine, { BMIAverageCalculator } from "./PredictionEngine.js";
+import { createDeidentifier } from "./deidentify.js";
+import { sendError } from "./apiErrors.js";
+import { validateRequest } from "./requestSchema.js";
+import * as schemas from "./apiSchemas.js";
 
 
 dotenv.config();
@@ -12,16 +16,16 @@ const router = express.Router();
 // ✅ Initialize Gemini AI
 const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
 
+// ⭐️ Everything that goes into a Gemini prompt is de-identified first (deidentify.js)
+const llmDeidentifier = createDeidentifier("llm");
+
 // ===============================
 // 🤖 AI: Delivery Insight Endpoint
 // ===============================
-router.post("/insight", async (req, res) => {
+router.post("/insight", validateRequest(schemas.aiInsight), async (req, res) => {
     try {
-        const { visits = [], patient = {}, deliveries = [], babies = [] } = req.body;
-
-        if (!Array.isArray(visits) || visits.length === 0) {
-            return res.status(400).json({ success: false, error: "No visit data provided" });
-        }
+        // ⭐️ At least one visit is required by schemas.aiInsight
+        const { visits, patient, deliveries, babies } = llmDeidentifier.bundle(req.body);
 
         const latestVisit = visits.at(-1);
         const latestDelivery = deliveries.at(-1) || {};
@@ -35,8 +39,7 @@ Analyze this delivery data and provide:
 3. Provide a concise medical-style summary.
 
 **PATIENT SUMMARY**
-- Name: ${patient?.FIRST_NAME || "Unknown"} ${patient?.LAST_NAME || ""}
-- Age: ${patient?.DATE_OF_BIRTH || "Unknown"}
+- Age: ${patient?.AGE || "Unknown"}
 - BMI: ${patient?.BMI_VALUE || "Unknown"} (${patient?.BMI_STATUS || "N/A"})
 - Gravida/Parity: G${patient?.GRAVIDA || "?"}, P${patient?.PARITY || "?"}
 - Medical History: ${patient?.MEDICAL_HISTORY || "None"}
@@ -72,26 +75,24 @@ Provide:
 
         // ⭐️ We will fix this model name after the debugging code runs
         const model = genAI.getGenerativeModel({ model: "gemini-2.5-flash" });
+        // ⭐️ Patient data leaves the server here - flagged in the PHI audit log
+        res.locals.auditDetails = { sentToLlm: true, model: "gemini-2.5-flash" };
         const result = await model.generateContent(prompt);
         const text = result?.response?.text?.() || "⚠️ No response from Gemini.";
 
         res.json({ success: true, source: "gemini", insight: text.trim() });
     } catch (error) {
         console.error("❌ AI Insight Error:", error);
-        res.status(500).json({ success: false, error: "Failed to generate AI insight" });
+        sendError(res, "UPSTREAM_ERROR", "Failed to generate AI insight");
     }
 });
 
 // ===============================
 // 🤖 AI: Ongoing Pregnancy Insight
 // ===============================
-router.post("/ongoing-insight", async (req, res) => {
+router.post("/ongoing-insight", validateRequest(schemas.aiOngoingInsight), async (req, res) => {
     try {
-        const { visits = [], patient = {} } = req.body;
-
-        if (!Array.isArray(visits) || visits.length === 0) {
-            return res.status(400).json({ success: false, error: "No visit data provided." });
-        }
+        const { visits, patient } = llmDeidentifier.bundle(req.body);
 
         const visitSummary = visits
             .map(
@@ -123,22 +124,24 @@ ${visitSummary}
 
         // ⭐️ We will fix this model name after the debugging code runs
         const model = genAI.getGenerativeModel({ model: "gemini-2.5-flash" });
+        // ⭐️ Patient data leaves the server here - flagged in the PHI audit log
+        res.locals.auditDetails = { sentToLlm: true, model: "gemini-2.5-flash" };
         const result = await model.generateContent(prompt);
         const text = result?.response?.text?.() || "⚠️ No AI response.";
 
         res.json({ success: true, source: "gemini", insight: text.trim() });
     } catch (error) {
         console.error("❌ Ongoing Insight Error:", error);
-        res.status(500).json({ success: false, error: "Failed to generate ongoing insight." });
+        sendError(res, "UPSTREAM_ERROR", "Failed to generate ongoing insight.");
     }
 });
 
 // ===============================
 // 🤖 AI + Rule-Based Progression Prediction
 // ===============================
-router.post("/ongoing-progression", async (req, res) => {
+router.post("/ongoing-progression", validateRequest(schemas.aiProgression), async (req, res) => {
     try {
-        const { visits = [], patient = {} } = req.body;
+        const { visits, patient } = req.body;
 
         console.log("🎯 RULE-BASED PREDICTION ENGINE");
         console.log("Patient ID:", patient.PATIENT_ID || "Unknown");
@@ -151,39 +154,29 @@ router.post("/ongoing-progression", async (req, res) => {
         // ⭐️ NEW: Get formatted average data based on patient's BMI
         const bmiStatus = patient.BMI_STATUS || "Normal"; // Fallback to "Normal"
         console.log(`📊 Calculating averages for BMI Status: ${bmiStatus}`);
-        const averages = BMIAverageCalculator.getFormattedAverages(bmiStatus);
+        // ⭐️ Validated visits, so unit-corrected values are plotted against the standards
+        const averages = BMIAverageCalculator.getFormattedAverages(bmiStatus, engine.validatedVisits);
+        // ⭐️ NEW: Centile curves + z-score of every visit
+        const growthStandards = BMIAverageCalculator.getCentileReport(bmiStatus, engine.validatedVisits);
 
         console.log("✅ Prediction:", prediction.summary);
 
         // ⭐️ MODIFIED: Add the 'averages' object to the response
-        res.json({ success: true, ...prediction, averages });
+        res.json({ success: true, ...prediction, averages, growthStandards });
 
     } catch (error) {
+        // ⭐️ A failed prediction is an error, not a fallback dressed up as success
         console.error("❌ Prediction error:", error);
-        const engine = new PredictionEngine([], {}); // Get fallback
-        const fallback = engine.getFallbackPrediction();
-
-        // ⭐️ MODIFIED: Also add empty averages to the fallback response
-        res.json({
-            success: true,
-            ...fallback,
-            averages: {
-                averageWeight: [],
-                averageFundal: [],
-                averageHemoglobin: [],
-                averageBloodPressure: []
-            },
-            error: error.message
-        });
+        sendError(res, "INTERNAL_ERROR", "Failed to generate progression prediction");
     }
 });
 
 // ===========================
 // 🥗 AI Diet Recommendation
 // ===========================
-router.post("/diet-plan", async (req, res) => {
+router.post("/diet-plan", validateRequest(schemas.aiDietPlan), async (req, res) => {
     try {
-        const { patient = {}, visits = [] } = req.body;
+        const { patient, visits } = llmDeidentifier.bundle(req.body);
         const latestVisit = visits[visits.length - 1] || {};
 
         const prompt = `
@@ -222,22 +215,24 @@ Tip: Stay hydrated and include citrus fruits for iron absorption. and dont say o
 
         // ⭐️ We will fix this model name after the debugging code runs
         const model = genAI.getGenerativeModel({ model: "gemini-2.5-flash" });
+        // ⭐️ Patient data leaves the server here - flagged in the PHI audit log
+        res.locals.auditDetails = { sentToLlm: true, model: "gemini-2.5-flash" };
         const result = await model.generateContent(prompt);
         const text = result?.response?.text?.() || "⚠️ No AI response";
 
         res.json({ success: true, source: "gemini", dietPlan: text.trim() });
     } catch (error) {
         console.error("❌ Diet Plan Error:", error);
-        res.status(500).json({ success: false, error: "Failed to generate diet plan" });
+        sendError(res, "UPSTREAM_ERROR", "Failed to generate diet plan");
     }
 });
 
 // ===========================
 // 🧘‍♀️ AI Exercise & Wellness Plan
 // ===========================
-router.post("/exercise-plan", async (req, res) => {
+router.post("/exercise-plan", validateRequest(schemas.aiExercisePlan), async (req, res) => {
     try {
-        const { patient = {}, visits = [] } = req.body;
+        const { patient, visits } = llmDeidentifier.bundle(req.body);
         const latestVisit = visits[visits.length - 1] || {};
 
         const prompt = `
@@ -276,13 +271,15 @@ Tip: Consistency > intensity. Gentle movement helps reduce swelling & improve sl
 
         // ⭐️ We will fix this model name after the debugging code runs
         const model = genAI.getGenerativeModel({ model: "gemini-2.5-flash" });
+        // ⭐️ Patient data leaves the server here - flagged in the PHI audit log
+        res.locals.auditDetails = { sentToLlm: true, model: "gemini-2.5-flash" };
         const result = await model.generateContent(prompt);
         const text = result?.response?.text?.() || "⚠️ No AI response";
 
         res.json({ success: true, source: "gemini", exercisePlan: text.trim() });
     } catch (error) {
         console.error("❌ Exercise Plan Error:", error);
-        res.status(500).json({ success: false, error: "Failed to generate exercise plan" });
+        sendError(res, "UPSTREAM_ERROR", "Failed to generate exercise plan");
     }
 });
 
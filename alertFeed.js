@@ -0,0 +1,96 @@
+// alertFeed.js
+//
+// Early-warning alerts for ongoing patients whose latest visit triggered.
+// Acknowledge / snooze state lives in memory and is tied to the visit that
+// raised the alert, so a newer triggering visit re-opens it.
+
+import { groupByPatientId, latestVisitOf } from "./clinicalUtils.js";
+import { scoreVisit } from "./earlyWarning.js";
+
+const LEVEL_ORDER = { red: 2, yellow: 1, none: 0 };
+
+let alerts = new Map(); // patientId -> alert raised by the latest visit
+let builtAt = null;
+const states = new Map(); // patientId -> { visitKey, status, by, note, at, snoozedUntil }
+
+const visitKey = (visit) =>
+    [visit.VISIT_ID ?? "", visit.VISIT_DATE ?? "", visit.GESTATIONAL_AGE_WEEKS ?? ""].join("|");
+
+// Rebuild from the ongoing cache (call after every cache load)
+export function rebuildAlertFeed(patients, visits) {
+    const visitsByPatient = groupByPatientId(visits);
+
+    const next = new Map();
+    (patients || []).forEach((patient) => {
+        const patientId = String(patient.PATIENT_ID);
+        const latest = latestVisitOf(visitsByPatient.get(patientId));
+        if (!latest) return;
+
+        const warning = latest.earlyWarning || scoreVisit(latest);
+        if (warning.level === "none") return;
+
+        next.set(patientId, {
+            patientId: patient.PATIENT_ID,
+            patientName: `${patient.FIRST_NAME || ""} ${patient.LAST_NAME || ""}`.trim() || "Unknown Name",
+            level: warning.level,
+            score: warning.score,
+            triggers: warning.triggers,
+            visitDate: latest.VISIT_DATE ?? null,
+            gestationalAge: latest.GESTATIONAL_AGE_WEEKS ?? null,
+            visitKey: visitKey(latest),
+        });
+    });
+
+    // Forget acknowledgements for alerts that no longer exist
+    [...states.keys()].forEach((patientId) => {
+        if (!next.has(patientId) || next.get(patientId).visitKey !== states.get(patientId).visitKey) {
+            states.delete(patientId);
+        }
+    });
+
+    alerts = next;
+    builtAt = new Date().toISOString();
+    return alerts.size;
+}
+
+function withState(alert, now = new Date()) {
+    const state = states.get(String(alert.patientId));
+    if (!state || state.visitKey !== alert.visitKey) return { ...alert, status: "open" };
+    if (state.status === "snoozed" && new Date(state.snoozedUntil) <= now) {
+        return { ...alert, status: "open", lastSnoozedUntil: state.snoozedUntil };
+    }
+    const { visitKey: _, ...rest } = state;
+    return { ...alert, ...rest };
+}
+
+// status: "open" (default) | "acknowledged" | "snoozed" | "all"
+export function listAlerts({ level, status = "open" } = {}) {
+    const now = new Date();
+    const list = [...alerts.values()]
+        .map((alert) => withState(alert, now))
+        .filter((alert) => !level || alert.level === level)
+        .filter((alert) => status === "all" || alert.status === status)
+        .sort((a, b) =>
+            LEVEL_ORDER[b.level] - LEVEL_ORDER[a.level] ||
+            b.score - a.score ||
+            new Date(b.visitDate || 0) - new Date(a.visitDate || 0)
+        );
+
+    return { alerts: list, builtAt };
+}
+
+function updateState(patientId, state) {
+    const alert = alerts.get(String(patientId));
+    if (!alert) return null;
+    states.set(String(patientId), { visitKey: alert.visitKey, at: new Date().toISOString(), ...state });
+    return withState(alert);
+}
+
+export function acknowledgeAlert(patientId, { by = null, note = null } = {}) {
+    return updateState(patientId, { status: "acknowledged", by, note });
+}
+
+export function snoozeAlert(patientId, { minutes, by = null, note = null } = {}) {
+    const snoozedUntil = new Date(Date.now() + minutes * 60 * 1000).toISOString();
+    return updateState(patientId, { status: "snoozed", by, note, snoozedUntil });
+}
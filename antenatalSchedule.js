@@ -0,0 +1,228 @@
+// antenatalSchedule.js
+//
+// Estimated due date (EDD) per ongoing patient, the recommended antenatal
+// contact schedule derived from it, and overdue-contact detection.
+//
+//  - Every visit implies an EDD: VISIT_DATE + (40 - GESTATIONAL_AGE_WEEKS) weeks.
+//    The earliest first-trimester visit (< 14 weeks) dates the pregnancy when
+//    there is one, otherwise the median implied EDD is used. Visits whose
+//    implied EDD disagrees by more than the tolerance for their trimester are
+//    flagged as inconsistent dating.
+//  - Contacts follow the WHO 2016 eight-contact model (12, 20, 26, 30, 34, 36, 38, 40 weeks).
+
+import { groupByPatientId } from "./clinicalUtils.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEK_MS = 7 * DAY_MS;
+
+export const ANC_CONTACT_WEEKS = [12, 20, 26, 30, 34, 36, 38, 40];
+
+// A contact is overdue once this many days have passed since its due date
+export const OVERDUE_GRACE_DAYS = 7;
+
+// patientId -> { patient fields, dating, visit GAs }. Contact statuses depend
+// on "now", so they are evaluated per request from this.
+let entries = new Map();
+let builtAt = null;
+
+const toDate = (value) => {
+    if (!value) return null;
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+};
+
+const isoDate = (date) => (date ? date.toISOString().slice(0, 10) : null);
+
+const round = (value) => Number(value.toFixed(1));
+
+// Allowed disagreement (days) between a visit's implied EDD and the reference
+function datingToleranceDays(ga) {
+    if (ga < 14) return 7;
+    if (ga < 22) return 10;
+    if (ga < 28) return 14;
+    return 21;
+}
+
+export function estimateDueDate(visits) {
+    const dated = (visits || [])
+        .map((visit) => ({
+            visit,
+            date: toDate(visit.VISIT_DATE),
+            ga: Number(visit.GESTATIONAL_AGE_WEEKS),
+        }))
+        .filter((v) => v.date && v.ga > 0 && v.ga <= 45)
+        .map((v) => ({ ...v, impliedEdd: new Date(v.date.getTime() + (40 - v.ga) * WEEK_MS) }))
+        .sort((a, b) => a.date - b.date);
+
+    if (dated.length === 0) return null;
+
+    const firstTrimester = dated.find((v) => v.ga < 14);
+    let reference;
+    let method;
+    if (firstTrimester) {
+        reference = firstTrimester.impliedEdd;
+        method = "first-trimester visit";
+    } else {
+        const sorted = dated.map((v) => v.impliedEdd.getTime()).sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+        reference = new Date(sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2);
+        method = "median of visits";
+    }
+
+    const inconsistentVisits = dated
+        .map((v) => ({
+            VISIT_DATE: isoDate(v.date),
+            GESTATIONAL_AGE_WEEKS: v.ga,
+            impliedEdd: isoDate(v.impliedEdd),
+            differenceDays: Math.round((v.impliedEdd - reference) / DAY_MS),
+            toleranceDays: datingToleranceDays(v.ga),
+        }))
+        .filter((v) => Math.abs(v.differenceDays) > v.toleranceDays);
+
+    return {
+        edd: reference,
+        method,
+        datingVisit: firstTrimester ? { VISIT_DATE: isoDate(firstTrimester.date), GESTATIONAL_AGE_WEEKS: firstTrimester.ga } : null,
+        consistent: inconsistentVisits.length === 0,
+        inconsistentVisits,
+    };
+}
+
+// GA (weeks) on a given date, according to the EDD
+const gaOn = (edd, date) => 40 - (edd - date) / WEEK_MS;
+
+function buildEntry(patient, visits) {
+    const dating = estimateDueDate(visits);
+    if (!dating) return null;
+
+    const visitGAs = (visits || [])
+        .map((v) => toDate(v.VISIT_DATE))
+        .filter(Boolean)
+        .map((date) => ({ date, ga: gaOn(dating.edd, date) }))
+        .sort((a, b) => a.date - b.date);
+
+    return {
+        PATIENT_ID: patient.PATIENT_ID,
+        PATIENT_NAME: `${patient.FIRST_NAME || ""} ${patient.LAST_NAME || ""}`.trim() || "Unknown Name",
+        ADDRESS: patient.ADDRESS ?? null,
+        dating,
+        visitGAs,
+    };
+}
+
+function evaluateSchedule(entry, now) {
+    const { edd } = entry.dating;
+    const lastVisit = entry.visitGAs[entry.visitGAs.length - 1] || null;
+
+    const contacts = ANC_CONTACT_WEEKS.map((week, index) => {
+        const dueDate = new Date(edd.getTime() - (40 - week) * WEEK_MS);
+        // Contacts up to 30 weeks are 4-8 weeks apart, later ones every 2 weeks
+        const window = week <= 30 ? 2 : 1;
+        const attended = entry.visitGAs.some((v) => Math.abs(v.ga - week) <= window);
+        const windowEnd = new Date(dueDate.getTime() + window * WEEK_MS);
+
+        let status = "upcoming";
+        if (attended) status = "attended";
+        else if (windowEnd < now) status = "missed";
+        else if (dueDate <= now) status = "due";
+
+        return { contact: index + 1, gestationalAge: week, dueDate, status };
+    });
+
+    // Next contact: the first one scheduled after the latest visit
+    const lastVisitGA = lastVisit ? lastVisit.ga : -Infinity;
+    const next = contacts.find((c) => c.gestationalAge > lastVisitGA + 1 && c.status !== "attended") || null;
+    const daysPastDue = next ? Math.floor((now - next.dueDate) / DAY_MS) : null;
+
+    return {
+        PATIENT_ID: entry.PATIENT_ID,
+        PATIENT_NAME: entry.PATIENT_NAME,
+        ADDRESS: entry.ADDRESS,
+        dating: entry.dating,
+        contacts,
+        lastVisitDate: lastVisit ? lastVisit.date : null,
+        currentGA: round(gaOn(edd, now)),
+        nextContact: next,
+        daysOverdue: next && daysPastDue > OVERDUE_GRACE_DAYS ? daysPastDue : 0,
+        pastDueDate: now > edd,
+    };
+}
+
+// Dates are kept as Date objects internally and formatted on the way out
+function formatSchedule(schedule) {
+    if (!schedule) return null;
+    const contact = (c) => (c ? { ...c, dueDate: isoDate(c.dueDate) } : null);
+    return {
+        ...schedule,
+        edd: isoDate(schedule.dating.edd),
+        dating: { ...schedule.dating, edd: isoDate(schedule.dating.edd) },
+        contacts: schedule.contacts.map(contact),
+        nextContact: contact(schedule.nextContact),
+        lastVisitDate: isoDate(schedule.lastVisitDate),
+        overdue: schedule.daysOverdue > 0,
+    };
+}
+
+export function rebuildSchedules(patients, visits) {
+    const visitsByPatient = groupByPatientId(visits);
+    const next = new Map();
+    (patients || []).forEach((patient) => {
+        const key = String(patient.PATIENT_ID);
+        const entry = buildEntry(patient, visitsByPatient.get(key) || []);
+        if (entry) next.set(key, entry);
+    });
+    entries = next;
+    builtAt = new Date().toISOString();
+    return entries.size;
+}
+
+export function getPatientSchedule(patientId, now = new Date()) {
+    const entry = entries.get(String(patientId));
+    return entry ? formatSchedule(evaluateSchedule(entry, now)) : null;
+}
+
+// patientIds: only these patients (any iterable of IDs), or every patient when null
+const evaluateAll = (now, patientIds = null) => {
+    const selected = patientIds === null
+        ? [...entries.values()]
+        : [...new Set([...patientIds].map(String))].map((id) => entries.get(id)).filter(Boolean);
+    return selected.map((entry) => evaluateSchedule(entry, now));
+};
+
+// Ongoing patients whose next contact is more than OVERDUE_GRACE_DAYS late
+export function listOverdue(now = new Date()) {
+    return {
+        patients: evaluateAll(now)
+            .filter((s) => s.daysOverdue > 0)
+            .sort((a, b) => b.daysOverdue - a.daysOverdue)
+            .map((s) => {
+                const formatted = formatSchedule(s);
+                return {
+                    PATIENT_ID: formatted.PATIENT_ID,
+                    PATIENT_NAME: formatted.PATIENT_NAME,
+                    ADDRESS: formatted.ADDRESS,
+                    edd: formatted.edd,
+                    currentGA: formatted.currentGA,
+                    lastVisitDate: formatted.lastVisitDate,
+                    nextContact: formatted.nextContact,
+                    daysOverdue: formatted.daysOverdue,
+                    datingConsistent: formatted.dating.consistent,
+                };
+            }),
+        builtAt,
+    };
+}
+
+// Scheduled contacts (not yet attended) falling on the given day, and the
+// number of patients overdue for their next contact; patientIds limits the
+// counts to a subset (e.g. one area), null counts every ongoing patient
+export function scheduleCounts(now = new Date(), patientIds = null) {
+    const day = isoDate(now);
+    let contactsDueToday = 0;
+    let overduePatients = 0;
+    evaluateAll(now, patientIds).forEach((s) => {
+        contactsDueToday += s.contacts.filter((c) => c.status !== "attended" && isoDate(c.dueDate) === day).length;
+        if (s.daysOverdue > 0) overduePatients++;
+    });
+    return { contactsDueToday, overduePatients };
+}
@@ -0,0 +1,63 @@
+// apiErrors.js
+//
+// One error format for every /api route:
+//
+//   { success: false, error: "<human-readable message>", code: "<ERROR_CODE>", details?: [...] }
+//
+// `code` is one of ERROR_CODES and is what clients should branch on; the
+// message may change. Validation failures list each problem in `details`
+// ({ location, field, message }, see requestSchema.js). Unexpected errors
+// are logged with a reference ID and answered with INTERNAL_ERROR and that
+// reference only - database messages, SQL states and stack traces never
+// reach the client.
+
+import crypto from "crypto";
+
+export const ERROR_CODES = {
+    VALIDATION_ERROR: 400,
+    MALFORMED_JSON: 400,
+    UNAUTHENTICATED: 401,
+    FORBIDDEN: 403,
+    NOT_FOUND: 404,
+    CONFLICT: 409,
+    PAYLOAD_TOO_LARGE: 413,
+    RATE_LIMITED: 429,
+    INTERNAL_ERROR: 500,
+    UPSTREAM_ERROR: 502,
+    CACHE_LOADING: 503,
+};
+
+// Error to throw (or pass to next) from a route; `extra` is merged into the response body
+export function apiError(code, message, extra = {}) {
+    if (!ERROR_CODES[code]) throw new Error(`Unknown API error code "${code}"`);
+    return Object.assign(new Error(message), { code, status: ERROR_CODES[code], expose: true, extra });
+}
+
+export function sendError(res, code, message, extra = {}) {
+    return res.status(ERROR_CODES[code]).json({ success: false, error: message, code, ...extra });
+}
+
+// Last /api handler: no route matched
+export function notFoundHandler(req, res) {
+    sendError(res, "NOT_FOUND", `No route for ${req.method} ${req.baseUrl}${req.path}`);
+}
+
+// Express error middleware (registered after every route; Express needs all four arguments)
+export function errorHandler(err, req, res, next) {
+    if (res.headersSent) return next(err);
+
+    // body-parser
+    if (err.type === "entity.parse.failed") {
+        return sendError(res, "MALFORMED_JSON", "Request body is not valid JSON");
+    }
+    if (err.type === "entity.too.large") {
+        return sendError(res, "PAYLOAD_TOO_LARGE", "Request body is too large");
+    }
+    if (err.expose && ERROR_CODES[err.code]) {
+        return sendError(res, err.code, err.message, err.extra);
+    }
+
+    const reference = crypto.randomUUID();
+    console.error(`❌ Unhandled error on ${req.method} ${req.originalUrl} (ref ${reference}):`, err);
+    sendError(res, "INTERNAL_ERROR", "Internal server error", { reference });
+}
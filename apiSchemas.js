@@ -0,0 +1,538 @@
+// apiSchemas.js
+//
+// Request schemas for every /api route (params, query and body), checked by
+// validateRequest (requestSchema.js) before the handler runs. Handlers can
+// rely on the declared types and defaults; rules that involve more than one
+// field (from <= to, "q or a filter") stay in the handler.
+//
+// The same objects document the route in the OpenAPI spec (openapi.js):
+// `tags` / `summary` / `description` describe it and `responses` gives the
+// success response shapes, with the row models in MODELS. Error responses
+// are added by the generator.
+
+import { PREGNANCY_STATUSES } from "./pregnancyStatus.js";
+import { SEARCH_SORT_FIELDS } from "./patientSearch.js";
+import { WORKLIST_SORT_FIELDS, RISK_LEVELS } from "./worklist.js";
+import { TREND_INTERVALS } from "./outcomeTrends.js";
+import { AREA_LEVELS } from "./gazetteer.js";
+import { COHORT_FILTERS } from "./cohortComparison.js";
+import { DATASETS } from "./dataSource/snapshot.js";
+import { AUDIT_RESULTS } from "./auditLog.js";
+import { ERROR_CODES } from "./apiErrors.js";
+import { ROLES, PERMISSIONS } from "./auth/permissions.js";
+
+// Drops keys left undefined by the helpers below, so schemas print cleanly in API docs
+const compact = (schema) => Object.fromEntries(Object.entries(schema).filter(([, value]) => value !== undefined));
+
+const string = (extra = {}) => compact({ type: "string", maxLength: 200, ...extra });
+const integer = (minimum, maximum, extra = {}) => compact({ type: "integer", minimum, maximum, ...extra });
+const number = (minimum, maximum, extra = {}) => compact({ type: "number", minimum, maximum, ...extra });
+const oneOf = (values, extra = {}) => compact({ type: "string", enum: values, ...extra });
+const listOf = (values, extra = {}) => compact({ type: "array", items: { type: "string", enum: values }, ...extra });
+const date = (extra = {}) => compact({ type: "string", format: "date", ...extra });
+const dateTime = (extra = {}) => compact({ type: "string", format: "date-time", ...extra });
+const object = (properties, { required, additionalProperties, ...extra } = {}) =>
+    compact({ type: "object", properties, required, additionalProperties, ...extra });
+
+const confidence = number(0.5, undefined, { exclusiveMaximum: 1, default: 0.95, description: "Confidence level of the intervals" });
+const order = oneOf(["asc", "desc"]);
+const patientIdParams = object({ id: integer(1, undefined, { description: "PATIENT_ID" }) }, { required: ["id"] });
+
+// Route documentation (not used by the validator)
+const doc = (tag, summary, extra = {}) => ({ tags: [tag], summary, ...extra });
+const ok = (schema, description = "OK", status = 200) => ({ [status]: { description, schema } });
+
+// =======================
+// 📄 Response models
+// =======================
+// Rows are passed through from the data source, so only the columns the
+// frontend relies on are listed; other columns are allowed.
+
+const ref = (model) => ({ $ref: `#/components/schemas/${model}` });
+const nullable = (type, extra = {}) => ({ type: [type, "null"], ...extra });
+const arrayOf = (items, extra = {}) => ({ type: "array", items, ...extra });
+const row = (description, properties, required = []) =>
+    object(properties, { required, additionalProperties: true, description });
+const success = (properties = {}, required = []) =>
+    object({ success: { const: true }, ...properties }, { required: ["success", ...required], additionalProperties: true });
+
+export const MODELS = {
+    Patient: row("Patient row (one per patient)", {
+        PATIENT_ID: { type: "integer" },
+        FIRST_NAME: nullable("string"),
+        LAST_NAME: nullable("string"),
+        AGE: nullable("number"),
+        ADDRESS: nullable("string"),
+        PHONE: nullable("string"),
+        BMI_VALUE: nullable("number"),
+        BMI_STATUS: nullable("string"),
+        PARITY: nullable("integer"),
+        MEDICAL_HISTORY: nullable("string"),
+        SOURCE_SCHEMA: nullable("string"),
+    }, ["PATIENT_ID"]),
+    Visit: row("Antenatal visit row", {
+        VISIT_ID: { type: ["integer", "string"] },
+        PATIENT_ID: { type: "integer" },
+        VISIT_DATE: nullable("string", { format: "date" }),
+        GESTATIONAL_AGE_WEEKS: nullable("number"),
+        MATERNAL_WEIGHT: nullable("number"),
+        FUNDAL_HEIGHT: nullable("number"),
+        HEMOGLOBIN_LEVEL: nullable("number"),
+        BLOOD_PRESSURE: nullable("string", { description: "\"systolic/diastolic\", e.g. \"120/80\"" }),
+        FETAL_HEART_RATE: nullable("number"),
+        COMPLICATIONS: nullable("string"),
+        earlyWarning: { type: "object", description: "Early-warning score (ongoing patients only, see earlyWarning.js)" },
+    }, ["PATIENT_ID"]),
+    Delivery: row("Delivery row", {
+        DELIVERY_ID: { type: ["integer", "string"] },
+        PATIENT_ID: { type: "integer" },
+        DELIVERY_DATE: nullable("string", { format: "date", description: "Optional - not every source has it" }),
+        DISCHARGE_DATE: nullable("string", { format: "date" }),
+        DELIVERY_MODE: nullable("string"),
+        GESTATIONAL_AGE_AT_DELIVERY: nullable("number"),
+        DELIVERY_COMPLICATIONS: nullable("string"),
+        MOTHER_CONDITION_POST_DELIVERY: nullable("string"),
+        LENGTH_OF_STAY: nullable("number", { description: "Days" }),
+    }, ["PATIENT_ID"]),
+    Baby: row("Baby row", {
+        PATIENT_ID: { type: "integer" },
+        DELIVERY_ID: nullable("integer"),
+        BIRTH_WEIGHT: nullable("number"),
+        BABY_SEX: nullable("string"),
+        APGAR_SCORE_1MIN: nullable("number"),
+        APGAR_SCORE_5MIN: nullable("number"),
+        NICU_ADMISSION: nullable("string"),
+        NEONATAL_COMPLICATIONS: nullable("string"),
+    }, ["PATIENT_ID"]),
+    PregnancyStatus: object({
+        status: oneOf(PREGNANCY_STATUSES),
+        reason: { type: "string" },
+    }, { required: ["status", "reason"] }),
+    Anomaly: row("Sudden change between consecutive visits (trendAnomalies.js)", {}),
+    User: object({
+        username: { type: "string" },
+        displayName: { type: "string" },
+        role: oneOf(ROLES),
+        disabled: { type: "boolean" },
+        createdAt: { type: "string", format: "date-time" },
+        permissions: listOf(PERMISSIONS),
+    }, { required: ["username", "role"] }),
+    Error: object({
+        success: { const: false },
+        error: { type: "string", description: "Human-readable message; may change" },
+        code: oneOf(Object.keys(ERROR_CODES), { description: "Machine-readable error code" }),
+        details: arrayOf(object({
+            location: oneOf(["params", "query", "body"]),
+            field: nullable("string"),
+            message: { type: "string" },
+        }), { description: "Every validation problem (VALIDATION_ERROR only)" }),
+        reference: { type: "string", description: "Log reference (INTERNAL_ERROR only)" },
+        loading: { type: "boolean", description: "Set on CACHE_LOADING" },
+    }, { required: ["success", "error", "code"] }),
+};
+
+const patientListItem = (extra = {}) =>
+    object({ PATIENT_ID: { type: "integer" }, PATIENT_NAME: { type: "string" }, ...extra }, { required: ["PATIENT_ID", "PATIENT_NAME"] });
+const aiText = (field) => success({ source: { const: "gemini" }, [field]: { type: "string", description: "Markdown text" } }, [field]);
+
+// =======================
+// 👩 Patients
+// =======================
+
+export const patientList = doc("Patients", "All patients with their pregnancy status", {
+    responses: ok(arrayOf(patientListItem({ PREGNANCY_STATUS: nullable("string", { enum: [...PREGNANCY_STATUSES, null] }) }))),
+});
+
+export const patientDetails = {
+    ...doc("Patients", "One patient with visits, deliveries and babies"),
+    params: patientIdParams,
+    responses: ok(object({
+        patient: ref("Patient"),
+        visits: arrayOf(ref("Visit")),
+        deliveries: arrayOf(ref("Delivery")),
+        babies: arrayOf(ref("Baby")),
+        babyLinks: arrayOf({ type: "object" }, { description: "How each baby was matched to a delivery" }),
+        unlinkedBabies: arrayOf(ref("Baby")),
+        pregnancyStatus: ref("PregnancyStatus"),
+        anomalies: arrayOf(object({
+            episode: { type: "integer", description: "Pregnancy episode number, oldest first (pregnancyEpisodes.js)" },
+            current: { type: "boolean" },
+            deliveryDate: nullable("string", { format: "date-time" }),
+            anomalies: arrayOf(ref("Anomaly")),
+        }), { description: "Anomalies per pregnancy episode" }),
+        source: { const: "cache" },
+    }, { required: ["patient", "visits", "deliveries", "babies"] })),
+};
+
+export const patientSearch = {
+    ...doc("Patients", "Search patients by name, ID, phone or address", {
+        description: "Needs a search term (q) or at least one filter. Results are paged with an opaque cursor.",
+    }),
+    query: object({
+        q: string({ description: "Name (phonetic / fuzzy), ID or phone number" }),
+        id: string({ description: "PATIENT_ID, exact or prefix" }),
+        phone: string({ description: "Phone number or its last digits (at least 4)" }),
+        address: string(),
+        status: listOf(PREGNANCY_STATUSES, { description: "Comma-separated pregnancy statuses" }),
+        sourceSchema: string(),
+        bmiStatus: string(),
+        ageMin: number(0, 100),
+        ageMax: number(0, 100),
+        gaMin: number(0, 45),
+        gaMax: number(0, 45),
+        sort: oneOf(SEARCH_SORT_FIELDS),
+        order,
+        limit: integer(1, 100, { default: 20 }),
+        cursor: string({ maxLength: 1000, description: "nextCursor of the previous page" }),
+    }),
+    responses: ok(success({
+        query: { type: "string" },
+        count: { type: "integer" },
+        snapshotVersion: { type: "integer" },
+        items: arrayOf({ type: "object" }),
+        nextCursor: nullable("string"),
+    }, ["items"])),
+};
+
+export const pregnancies = { ...doc("Patients", "Pregnancy episodes (mother-baby dyads) of one patient"), params: patientIdParams };
+
+export const pregnancyEpisode = {
+    ...doc("Patients", "One pregnancy episode"),
+    params: object({
+        id: integer(1, undefined, { description: "PATIENT_ID" }),
+        episode: integer(1, undefined, { description: "Episode number, 1 = first pregnancy on record" }),
+    }, { required: ["id", "episode"] }),
+};
+
+export const lifecycleTransitions = {
+    ...doc("Patients", "Pregnancy status transitions detected on cache refresh"),
+    query: object({
+        patientId: string(),
+        to: oneOf(PREGNANCY_STATUSES),
+        since: dateTime(),
+        limit: integer(1, 1000, { default: 100 }),
+    }),
+};
+
+// =======================
+// 📊 Aggregates
+// =======================
+
+const kpis = {
+    totalPatients: { type: "integer" },
+    activePregnancies: { type: "integer" },
+    historicalPatients: { type: "integer" },
+    pregnancyLosses: { type: "integer" },
+    normalDeliveryCount: { type: "integer" },
+    cSectionDeliveryCount: { type: "integer" },
+    totalDeliveries: { type: "integer" },
+    totalBabies: { type: "integer" },
+    todaysAppointments: { type: "integer" },
+    normalDeliveryRate: { type: "integer", description: "Percent" },
+    cSectionRate: { type: "integer", description: "Percent" },
+    deliveryTypes: object({
+        matured: { type: "integer", description: "Percent" },
+        premature: { type: "integer", description: "Percent" },
+        mortality: { type: "integer", description: "Percent" },
+        maturedCount: { type: "integer" },
+        prematureCount: { type: "integer" },
+        mortalityCount: { type: "integer" },
+    }),
+};
+
+export const homeSummary = doc("Aggregates", "Home page KPIs", {
+    responses: ok(success({
+        ...kpis,
+        visitsRecordedToday: { type: "integer" },
+        overdueContacts: { type: "integer" },
+    }, ["totalPatients"])),
+});
+
+export const referenceAverages = {
+    ...doc("Aggregates", "Average weekly vitals for a delivery type and mode"),
+    body: object({
+        deliveryType: string({ minLength: 1, maxLength: 50, description: "SOURCE_SCHEMA, e.g. MATURED" }),
+        deliveryMode: string({ minLength: 1, maxLength: 50, description: "DELIVERY_MODE, e.g. Normal" }),
+    }, { required: ["deliveryType", "deliveryMode"], additionalProperties: false }),
+    responses: ok(success({
+        deliveryType: { type: "string" },
+        deliveryMode: { type: "string" },
+        totalWeeks: { type: "integer" },
+        averages: {
+            type: "object",
+            description: "maternal_weight, fundal_height, hb, systolic, diastolic, fetal_hr - empty when nothing matched",
+            additionalProperties: arrayOf(object({ week: { type: "number" }, value: { type: "number" } })),
+        },
+    }, ["averages"])),
+};
+
+export const patientAddresses = {
+    ...doc("Aggregates", "Address filter options (gazetteer areas, plus raw addresses for patients:read)"),
+    query: object({ level: oneOf(AREA_LEVELS, { default: "village" }) }),
+    responses: ok(success({
+        addresses: arrayOf(object({
+            value: { type: "string", description: "\"all\", \"area:<code>\" or a raw ADDRESS" },
+            label: { type: "string" },
+            level: nullable("string"),
+            patients: { type: "integer" },
+            addresses: arrayOf({ type: "string" }),
+        }, { required: ["value", "label"] })),
+    }, ["addresses"])),
+};
+
+export const areas = {
+    ...doc("Aggregates", "Metrics per gazetteer area (JSON or GeoJSON)"),
+    query: object({
+        level: oneOf(AREA_LEVELS, { default: "district" }),
+        format: oneOf(["json", "geojson"], { default: "json" }),
+        sourceSchema: string(),
+        bmiStatus: string(),
+    }),
+};
+
+export const resolveArea = {
+    ...doc("Aggregates", "How one raw address resolves against the gazetteer"),
+    query: object({ address: string({ minLength: 1, maxLength: 500 }) }, { required: ["address"] }),
+};
+
+export const outcomeTrends = {
+    ...doc("Aggregates", "Delivery and baby outcomes per month, quarter or year"),
+    query: object({
+        interval: oneOf(TREND_INTERVALS, { default: "month" }),
+        from: date(),
+        to: date(),
+        address: string(),
+        sourceSchema: string(),
+        bmiStatus: string(),
+        confidence,
+    }),
+};
+
+const cohortDefinition = object(
+    Object.fromEntries(Object.entries(COHORT_FILTERS).map(([key, type]) => [key, { type }])),
+    { additionalProperties: false }
+);
+
+export const cohortComparison = {
+    ...doc("Aggregates", "Compare outcomes of two filtered cohorts"),
+    body: object({
+        cohorts: { type: "array", items: cohortDefinition, minItems: 2, maxItems: 2 },
+        confidence,
+    }, { required: ["cohorts"], additionalProperties: false }),
+};
+
+export const homeSummaryFiltered = {
+    ...doc("Aggregates", "Home page KPIs for one address or area"),
+    query: object({ address: string({ maxLength: 500, description: "Raw ADDRESS, \"area:<code>\" or \"all\"" }) }),
+    responses: ok(success({
+        ...kpis,
+        filter: object({ address: nullable("string"), patientCount: { type: "integer" } }),
+    }, ["totalPatients"])),
+};
+
+// =======================
+// 📋 Ongoing care
+// =======================
+
+export const ongoingPatients = doc("Ongoing care", "Patients with an ongoing pregnancy", {
+    responses: ok(arrayOf(patientListItem())),
+});
+
+export const ongoingPatientDetails = {
+    ...doc("Ongoing care", "One ongoing patient with the visits of her current pregnancy"),
+    params: patientIdParams,
+    responses: ok(object({
+        patient: ref("Patient"),
+        visits: arrayOf(ref("Visit"), { description: "Visits with an earlyWarning score" }),
+        deliveries: arrayOf(ref("Delivery"), { maxItems: 0, deprecated: true, description: "Always empty; kept for older frontends" }),
+        babies: arrayOf(ref("Baby"), { maxItems: 0, deprecated: true, description: "Always empty; kept for older frontends" }),
+        anomalies: arrayOf(ref("Anomaly")),
+        message: { type: "string" },
+    }, { required: ["patient", "visits"] })),
+};
+
+export const ongoingSchedule = { ...doc("Ongoing care", "EDD and antenatal contact schedule of one patient"), params: patientIdParams };
+
+export const overdueContacts = doc("Ongoing care", "Ongoing patients with an overdue antenatal contact");
+
+export const worklist = {
+    ...doc("Ongoing care", "High-risk worklist"),
+    query: object({
+        riskLevel: listOf(RISK_LEVELS, { description: "Comma-separated risk levels" }),
+        gaMin: number(0, 45),
+        gaMax: number(0, 45),
+        address: string(),
+        bmiStatus: string(),
+        sort: oneOf(WORKLIST_SORT_FIELDS, { default: "risk" }),
+        order: oneOf(["asc", "desc"], { default: "desc" }),
+        page: integer(1, undefined, { default: 1 }),
+        pageSize: integer(1, 200, { default: 25 }),
+    }),
+};
+
+export const alerts = {
+    ...doc("Ongoing care", "Early-warning alerts"),
+    query: object({
+        level: oneOf(["red", "yellow"]),
+        status: oneOf(["open", "acknowledged", "snoozed", "all"], { default: "open" }),
+    }),
+};
+
+const alertParams = object({ patientId: integer(1) }, { required: ["patientId"] });
+
+export const acknowledgeAlert = {
+    ...doc("Ongoing care", "Acknowledge a patient's alert"),
+    params: alertParams,
+    body: object({ note: string({ maxLength: 1000 }) }, { additionalProperties: false }),
+};
+
+export const snoozeAlert = {
+    ...doc("Ongoing care", "Snooze a patient's alert"),
+    params: alertParams,
+    body: object({
+        minutes: number(1, 7 * 24 * 60, { default: 60 }),
+        note: string({ maxLength: 1000 }),
+    }, { additionalProperties: false }),
+};
+
+// =======================
+// 🧪 Backtest, cache, export, audit
+// =======================
+
+export const startBacktest = {
+    ...doc("Backtest", "Start a prediction engine backtest on delivered patients"),
+    body: object({
+        truncateAtGA: number(12, 39, { default: 32, description: "Only visits up to this GA are used for the prediction" }),
+        bins: integer(2, 20, { default: 10, description: "Calibration bins" }),
+    }, { additionalProperties: false }),
+    responses: ok(success({ jobId: { type: "string" }, status: { type: "string" } }, ["jobId"]), "Job started", 202),
+};
+
+export const backtestJobs = doc("Backtest", "Backtest jobs");
+
+export const backtestJob = {
+    ...doc("Backtest", "One backtest job and, once finished, its report"),
+    params: object({ jobId: string({ maxLength: 100 }) }, { required: ["jobId"] }),
+};
+
+export const cacheStatus = doc("Admin", "Cache, data source and refresh status");
+
+export const cacheReload = {
+    ...doc("Admin", "Reload the cache now"),
+    query: object({ mode: oneOf(["full", "delta"], { default: "full" }) }),
+};
+
+export const debugCache = doc("Admin", "Cache sizes");
+
+export const debugPatients = doc("Admin", "First 10 patients, without names or contact details");
+
+export const deidentifiedExport = {
+    ...doc("Research", "De-identified export of the cached datasets"),
+    query: object({
+        datasets: listOf(DATASETS, { default: DATASETS }),
+        download: { type: "boolean", default: false },
+    }),
+};
+
+export const auditLog = {
+    ...doc("Audit", "Query the PHI access audit log"),
+    query: object({
+        patientId: string(),
+        user: string(),
+        route: string(),
+        result: oneOf(AUDIT_RESULTS),
+        from: dateTime(),
+        to: dateTime(),
+        limit: integer(1, 1000, { default: 100 }),
+        offset: integer(0, undefined, { default: 0 }),
+    }),
+};
+
+export const auditVerify = doc("Audit", "Re-check the audit log hash chain", {
+    responses: {
+        ...ok(success({ valid: { const: true }, checked: { type: "integer" }, headHash: nullable("string") })),
+        409: { description: "The chain is broken (CONFLICT); brokenAt and reason say where", schema: ref("Error") },
+    },
+});
+
+// =======================
+// 🔑 Auth
+// =======================
+
+export const login = {
+    ...doc("Auth", "Log in and get a bearer token"),
+    body: object({
+        username: string({ minLength: 1, maxLength: 64 }),
+        password: string({ minLength: 1, maxLength: 256 }),
+    }, { required: ["username", "password"], additionalProperties: false }),
+    responses: ok(success({
+        token: { type: "string" },
+        expiresAt: { type: "string", format: "date-time" },
+        user: ref("User"),
+    }, ["token"])),
+};
+
+export const logout = doc("Auth", "Revoke the presented token");
+
+export const me = doc("Auth", "The logged-in user and their permissions", {
+    responses: ok(success({ user: ref("User"), expiresAt: { type: "string", format: "date-time" } }, ["user"])),
+});
+
+export const listUsers = doc("Auth", "All users", {
+    responses: ok(success({ users: arrayOf(ref("User")) }, ["users"])),
+});
+
+export const createUser = {
+    ...doc("Auth", "Create a user"),
+    body: object({
+        username: string({ pattern: "^[A-Za-z0-9._-]{3,64}$" }),
+        password: string({ minLength: 10, maxLength: 256 }),
+        role: oneOf(ROLES),
+        displayName: string({ maxLength: 100 }),
+    }, { required: ["username", "password", "role"], additionalProperties: false }),
+    responses: ok(success({ user: ref("User") }, ["user"]), "Created", 201),
+};
+
+// =======================
+// 🤖 AI (Gemini / prediction engine)
+// =======================
+
+// Rows as the patient detail routes return them; extra columns are allowed
+const record = object({ PATIENT_ID: { type: ["integer", "string"] } });
+const records = (maxItems, extra = {}) => compact({ type: "array", items: record, maxItems, default: [], ...extra });
+const aiBody = (properties, required = []) =>
+    object({ patient: { ...record, default: {} }, ...properties, purpose: string() }, { required, additionalProperties: false });
+const aiDoc = (summary) => doc("AI", summary, {
+    description: "Patient data is de-identified before it is sent to Gemini (deidentify.js).",
+});
+
+export const aiInsight = {
+    ...aiDoc("Delivery insight for a delivered patient"),
+    body: aiBody({ visits: records(500, { minItems: 1 }), deliveries: records(20), babies: records(20) }, ["visits"]),
+    responses: ok(aiText("insight")),
+};
+
+export const aiOngoingInsight = {
+    ...aiDoc("Insight for an ongoing pregnancy"),
+    body: aiBody({ visits: records(500, { minItems: 1 }) }, ["visits"]),
+    responses: ok(aiText("insight")),
+};
+
+export const aiProgression = {
+    ...doc("AI", "Rule-based progression prediction with BMI-specific averages and centiles", {
+        description: "`averages.standards` and `growthStandards.standards` name the source of each reference curve; curves with `provisional: true` are not from a published standard.",
+    }),
+    body: aiBody({ visits: records(500) }),
+};
+
+export const aiDietPlan = { ...aiDoc("Diet plan"), body: aiBody({ visits: records(500) }), responses: ok(aiText("dietPlan")) };
+
+export const aiExercisePlan = { ...aiDoc("Exercise plan"), body: aiBody({ visits: records(500) }), responses: ok(aiText("exercisePlan")) };
+
+// =======================
+// 📖 API docs
+// =======================
+
+export const openApiDocument = doc("Docs", "This OpenAPI document");
+
+export const apiExplorer = doc("Docs", "Interactive API explorer (HTML)");
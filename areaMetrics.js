@@ -0,0 +1,150 @@
+// areaMetrics.js
+//
+// Outcome metrics per gazetteer area (district, block or village/ward) and a
+// GeoJSON FeatureCollection of them for choropleth maps.
+//
+// Per area:
+//   - patients, ongoing pregnancies and the high-risk share of those
+//     (worklist riskLevel "high")
+//   - delivered episodes, C-section and preterm rates
+// Rates carry Wilson intervals so small areas are not over-read on a map.
+// Areas without a boundary polygon in the gazetteer are drawn as a box
+// around their centroid (flagged with `approximateGeometry`).
+
+import { getGazetteer, resolveAddressCached } from "./gazetteer.js";
+import { classifyDeliveryMode } from "./clinicalUtils.js";
+import { wilsonInterval } from "./stats.js";
+
+// Half-width in degrees of the placeholder box per level
+const BOX_HALF_WIDTH = { district: 0.2, block: 0.05, village: 0.01 };
+
+const round = (value, decimals = 4) => (value == null ? null : Number(value.toFixed(decimals)));
+
+function rate(count, denominator) {
+    const interval = wilsonInterval(count, denominator);
+    return {
+        count,
+        denominator,
+        rate: denominator > 0 ? round(count / denominator) : null,
+        ci: interval ? { lower: round(interval.lower), upper: round(interval.upper) } : null,
+    };
+}
+
+const emptyCounts = () => ({ patients: 0, ongoing: 0, highRisk: 0, deliveries: 0, modeKnown: 0, cSection: 0, gaKnown: 0, preterm: 0 });
+
+function addPatient(counts, store, patient, riskLevels) {
+    const id = String(patient.PATIENT_ID);
+    counts.patients++;
+    if (store.statusOf(id)?.status === "ongoing") {
+        counts.ongoing++;
+        if (riskLevels.get(id) === "high") counts.highRisk++;
+    }
+    store.episodesOf(id).episodes
+        .filter((episode) => episode.delivery)
+        .forEach((episode) => {
+            counts.deliveries++;
+            const mode = classifyDeliveryMode(episode.delivery.DELIVERY_MODE);
+            if (mode) {
+                counts.modeKnown++;
+                if (mode === "csection") counts.cSection++;
+            }
+            const ga = Number(episode.delivery.GESTATIONAL_AGE_AT_DELIVERY);
+            if (episode.delivery.GESTATIONAL_AGE_AT_DELIVERY != null && !Number.isNaN(ga)) {
+                counts.gaKnown++;
+                if (ga < 37) counts.preterm++;
+            }
+        });
+}
+
+// Code of the area at `level` that an address resolves to, or null
+function areaCodeAt(address, level) {
+    const area = resolveAddressCached(address);
+    return area[level]?.code ?? null;
+}
+
+// store: PatientStore; riskLevels: Map PATIENT_ID -> worklist riskLevel
+// -> { level, areas: [...], unmatched: { patients, addresses } }
+export function buildAreaMetrics(store, { level = "district", riskLevels = new Map() } = {}) {
+    const { places } = getGazetteer();
+    const counts = new Map();
+    const unmatched = { patients: 0, addresses: new Set() };
+
+    store.patients.forEach((patient) => {
+        const code = areaCodeAt(patient.ADDRESS, level);
+        if (!code) {
+            unmatched.patients++;
+            if (patient.ADDRESS) unmatched.addresses.add(String(patient.ADDRESS).trim());
+            return;
+        }
+        if (!counts.has(code)) counts.set(code, emptyCounts());
+        addPatient(counts.get(code), store, patient, riskLevels);
+    });
+
+    const areas = [...counts.entries()]
+        .map(([code, c]) => {
+            const place = places.get(code);
+            return {
+                code,
+                name: place.name,
+                level: place.level,
+                type: place.type,
+                state: place.state,
+                districtCode: place.districtCode,
+                blockCode: place.blockCode,
+                centroid: place.centroid,
+                patients: c.patients,
+                ongoingPregnancies: c.ongoing,
+                highRiskPregnancies: rate(c.highRisk, c.ongoing),
+                deliveries: c.deliveries,
+                cSection: rate(c.cSection, c.modeKnown),
+                preterm: rate(c.preterm, c.gaKnown),
+            };
+        })
+        .sort((a, b) => a.code.localeCompare(b.code));
+
+    return { level, areas, unmatched: { patients: unmatched.patients, addresses: [...unmatched.addresses].sort() } };
+}
+
+function boxAround([lon, lat], halfWidth) {
+    const corner = (dx, dy) => [round(lon + dx * halfWidth, 6), round(lat + dy * halfWidth, 6)];
+    return {
+        type: "Polygon",
+        coordinates: [[corner(-1, -1), corner(1, -1), corner(1, 1), corner(-1, 1), corner(-1, -1)]],
+    };
+}
+
+// Flat properties, so map styling can use e.g. ["get", "cSectionRate"]
+export function toGeoJson({ level, areas }) {
+    const { places, version } = getGazetteer();
+    return {
+        type: "FeatureCollection",
+        name: `areas-${level}`,
+        gazetteerVersion: version,
+        features: areas
+            .filter((area) => places.get(area.code).geometry || area.centroid)
+            .map((area) => {
+                const place = places.get(area.code);
+                return {
+                    type: "Feature",
+                    id: area.code,
+                    geometry: place.geometry || boxAround(area.centroid, BOX_HALF_WIDTH[area.level]),
+                    properties: {
+                        code: area.code,
+                        name: area.name,
+                        level: area.level,
+                        state: area.state,
+                        approximateGeometry: !place.geometry,
+                        patients: area.patients,
+                        ongoingPregnancies: area.ongoingPregnancies,
+                        highRiskPregnancies: area.highRiskPregnancies.count,
+                        highRiskShare: area.highRiskPregnancies.rate,
+                        deliveries: area.deliveries,
+                        cSectionRate: area.cSection.rate,
+                        cSectionRateLower: area.cSection.ci?.lower ?? null,
+                        cSectionRateUpper: area.cSection.ci?.upper ?? null,
+                        pretermRate: area.preterm.rate,
+                    },
+                };
+            }),
+    };
+}
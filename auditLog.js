@@ -0,0 +1,195 @@
+// auditLog.js
+//
+// Append-only PHI access log: who opened which patient record, through
+// which route, for what purpose, and what came of it. Entries go to a JSONL
+// file (AUDIT_LOG_FILE, default data/audit/phi-access.jsonl), one line each,
+// and are never rewritten.
+//
+// Tamper evidence: every entry carries the hash of the previous one and its
+// own hash over (previous hash + entry), so editing, deleting or reordering
+// a line breaks the chain from that point on (see verifyAuditChain). With
+// AUDIT_CHAIN_KEY set the hashes are HMACs, so someone who can write the
+// file cannot simply recompute the chain. Record the head hash from
+// /api/audit/verify somewhere outside this server to also detect truncation.
+//
+// Purpose comes from the X-Access-Purpose header (or a `purpose` query /
+// body field); requests without one are logged as "unspecified".
+//
+// Requests through a deprecated alias mount (res.locals.apiAlias, set by
+// index.js for /api) are logged under the canonical route, e.g.
+// /api/v1/patientDetails/:id, with details.via naming the alias.
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { fileURLToPath } from "url";
+
+export const DEFAULT_AUDIT_LOG_FILE = path.join(
+    path.dirname(fileURLToPath(import.meta.url)), "data", "audit", "phi-access.jsonl"
+);
+
+export const AUDIT_RESULTS = ["success", "invalid", "unauthorized", "denied", "not_found", "unavailable", "error"];
+
+const GENESIS_HASH = "0".repeat(64);
+const MAX_PURPOSE_LENGTH = 200;
+
+let logFile = null;
+let chainKey = null;
+let entries = [];
+let lastHash = GENESIS_HASH;
+
+// Fixed field order, so the hash does not depend on how an entry was built
+const HASHED_FIELDS = ["seq", "at", "user", "role", "method", "route", "path", "patientIds", "purpose", "result", "status", "details", "prevHash"];
+
+function hashEntry(entry) {
+    const payload = JSON.stringify(HASHED_FIELDS.map((field) => entry[field] ?? null));
+    const digest = chainKey ? crypto.createHmac("sha256", chainKey) : crypto.createHash("sha256");
+    return digest.update(payload).digest("hex");
+}
+
+// entries -> { valid, checked, headHash, brokenAt, reason }
+function verifyEntries(list) {
+    let prevHash = GENESIS_HASH;
+    for (let i = 0; i < list.length; i++) {
+        const entry = list[i];
+        if (entry.seq !== i + 1) {
+            return { valid: false, checked: i, headHash: prevHash, brokenAt: i + 1, reason: `expected seq ${i + 1}, found ${entry.seq}` };
+        }
+        if (entry.prevHash !== prevHash) {
+            return { valid: false, checked: i, headHash: prevHash, brokenAt: entry.seq, reason: "prevHash does not match the previous entry" };
+        }
+        if (hashEntry(entry) !== entry.hash) {
+            return { valid: false, checked: i, headHash: prevHash, brokenAt: entry.seq, reason: "entry hash does not match its contents" };
+        }
+        prevHash = entry.hash;
+    }
+    return { valid: true, checked: list.length, headHash: prevHash, brokenAt: null, reason: null };
+}
+
+export function loadAuditLog(file = process.env.AUDIT_LOG_FILE || DEFAULT_AUDIT_LOG_FILE, env = process.env) {
+    logFile = file;
+    chainKey = env.AUDIT_CHAIN_KEY || null;
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+
+    const text = fs.existsSync(file) ? fs.readFileSync(file, "utf8") : "";
+    entries = text.split("\n").filter(Boolean).map((line) => JSON.parse(line));
+    lastHash = entries.length ? entries.at(-1).hash : GENESIS_HASH;
+
+    const check = verifyEntries(entries);
+    if (!check.valid) {
+        // ⭐️ Keep appending - the break stays visible to /api/audit/verify
+        console.error(`❌ Audit log chain broken at entry ${check.brokenAt}: ${check.reason}`);
+    }
+    console.log(`🧾 Audit log ${file}: ${entries.length} entries${chainKey ? " (HMAC chain)" : ""}`);
+    return check;
+}
+
+export function verifyAuditChain() {
+    return { ...verifyEntries(entries), entries: entries.length, hmac: Boolean(chainKey) };
+}
+
+export function appendAuditEntry({ user = null, role = null, method, route, path: requestPath, patientIds = [], purpose = "unspecified", result, status = null, details = null }) {
+    if (!logFile) loadAuditLog();
+
+    const entry = {
+        seq: entries.length + 1,
+        at: new Date().toISOString(),
+        user,
+        role,
+        method,
+        route,
+        path: requestPath,
+        patientIds: [...new Set(patientIds.filter((id) => id !== null && id !== undefined && id !== "").map(String))],
+        purpose,
+        result,
+        status,
+        details,
+        prevHash: lastHash,
+    };
+    entry.hash = hashEntry(entry);
+
+    // Synchronous append keeps file order == chain order
+    fs.appendFileSync(logFile, JSON.stringify(entry) + "\n");
+    entries.push(entry);
+    lastHash = entry.hash;
+    return entry;
+}
+
+// =======================
+// 🛡️ Route middleware
+// =======================
+
+function resultOf(status) {
+    if (status < 300) return "success";
+    if (status === 401) return "unauthorized";
+    if (status === 403) return "denied";
+    if (status === 404) return "not_found";
+    if (status === 503) return "unavailable";
+    if (status < 500) return "invalid";
+    return "error";
+}
+
+// Route template the request matched, rewritten from an alias mount to the canonical one
+export function auditRoute(req, res) {
+    const route = req.baseUrl + (req.route ? req.route.path : req.path);
+    const alias = res.locals.apiAlias;
+    if (!alias || !route.startsWith(alias.base)) return { route, via: null };
+    return { route: alias.canonicalBase + route.slice(alias.base.length), via: `${alias.base} (deprecated alias)` };
+}
+
+export function accessPurpose(req) {
+    const purpose = req.get("X-Access-Purpose") ?? req.query?.purpose ?? req.body?.purpose;
+    return String(purpose || "").trim().slice(0, MAX_PURPOSE_LENGTH) || "unspecified";
+}
+
+// Logs the request once the response is sent. Place it before
+// requirePermission so denied attempts are recorded too.
+//   patientIds(req, res) -> IDs the request touched (default: req.params.id);
+//   handlers can also set res.locals.auditPatientIds / res.locals.auditDetails
+export function auditPhiAccess({ patientIds = (req) => [req.params.id] } = {}) {
+    return (req, res, next) => {
+        const { route, via } = auditRoute(req, res);
+        res.on("finish", () => {
+            try {
+                const details = res.locals.auditDetails ?? null;
+                appendAuditEntry({
+                    user: req.user?.username ?? null,
+                    role: req.user?.role ?? null,
+                    method: req.method,
+                    route,
+                    path: req.originalUrl,
+                    patientIds: res.locals.auditPatientIds ?? patientIds(req, res),
+                    purpose: accessPurpose(req),
+                    result: resultOf(res.statusCode),
+                    status: res.statusCode,
+                    details: via ? { ...details, via } : details,
+                });
+            } catch (err) {
+                console.error("❌ Failed to write audit log entry:", err.message);
+            }
+        });
+        next();
+    };
+}
+
+// =======================
+// 🔍 Queries
+// =======================
+
+// filters: { patientId, user, from, to (ms or null), route, result, limit, offset } - newest first
+export function queryAuditLog({ patientId = null, user = null, from = null, to = null, route = null, result = null, limit = 100, offset = 0 } = {}) {
+    const matches = entries.filter((entry) => {
+        const time = new Date(entry.at).getTime();
+        if (patientId !== null && !entry.patientIds.includes(String(patientId))) return false;
+        if (user !== null && entry.user !== user) return false;
+        if (from !== null && time < from) return false;
+        if (to !== null && time > to) return false;
+        if (route !== null && !entry.route.startsWith(route)) return false;
+        if (result !== null && entry.result !== result) return false;
+        return true;
+    });
+    return {
+        total: matches.length,
+        entries: matches.reverse().slice(offset, offset + limit),
+    };
+}
@@ -0,0 +1,230 @@
+// auth/index.js
+//
+// Login, JWT sessions and per-route permissions for the /api routes.
+//
+//   POST /api/v1/auth/login   { username, password } -> { token, expiresAt, user }
+//   POST /api/v1/auth/logout  revokes the presented token
+//   GET  /api/v1/auth/me      the logged-in user and their permissions
+//   GET  /api/v1/auth/users   (users:admin) list users
+//   POST /api/v1/auth/users   (users:admin) { username, password, role, displayName }
+//
+// Every other /api request needs "Authorization: Bearer <token>"
+// (authenticate), and each route names the permission it needs
+// (requirePermission, roles in auth/permissions.js).
+//
+// Configuration:
+//   JWT_SECRET      HS256 signing key. Without it a random key is used and
+//                   every session ends when the server restarts.
+//   JWT_EXPIRES_IN  session length, jsonwebtoken syntax (default "8h")
+//   CORS_ORIGINS    comma-separated frontend origins allowed to call the API
+//   USERS_FILE, ADMIN_USERNAME, ADMIN_PASSWORD - see auth/userStore.js
+
+import express from "express";
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import { hasPermission, permissionsOf } from "./permissions.js";
+import { createUser, findUser, listUsers, publicUser, verifyPassword } from "./userStore.js";
+import { sendError } from "../apiErrors.js";
+import { validateRequest } from "../requestSchema.js";
+import * as schemas from "../apiSchemas.js";
+
+export { ROLES, PERMISSIONS, hasPermission } from "./permissions.js";
+export { loadUsers } from "./userStore.js";
+
+const ISSUER = "maternal-health-backend";
+const MAX_FAILED_LOGINS = 5;
+const LOCKOUT_MS = 15 * 60 * 1000;
+
+let secret = null;
+
+// Read on first use - index.js loads .env after the modules it imports
+function signingKey() {
+    if (!secret) {
+        secret = process.env.JWT_SECRET;
+        if (!secret) {
+            secret = crypto.randomBytes(32).toString("hex");
+            console.warn("⚠️ JWT_SECRET is not set - using a random key, sessions will not survive a restart");
+        }
+    }
+    return secret;
+}
+
+const revokedTokens = new Map(); // jti -> expiry (ms), until the token would have expired anyway
+const failedLogins = new Map(); // username -> { count, lockedUntil }
+
+// =======================
+// 🌐 CORS
+// =======================
+
+// cors() options that only let the configured frontends call the API.
+// Requests without an Origin header (curl, server-to-server, same origin) pass.
+export function corsOptions(env = process.env) {
+    const allowed = String(env.CORS_ORIGINS || "")
+        .split(",")
+        .map((origin) => origin.trim().replace(/\/$/, ""))
+        .filter(Boolean);
+    if (allowed.length === 0) {
+        console.warn("⚠️ CORS_ORIGINS is not set - browsers on other origins cannot call the API");
+    } else {
+        console.log(`🌐 CORS allowed origins: ${allowed.join(", ")}`);
+    }
+
+    return {
+        origin: (origin, callback) => callback(null, !origin || allowed.includes(origin)),
+        methods: ["GET", "POST"],
+        allowedHeaders: ["Content-Type", "Authorization", "X-Access-Purpose"],
+        // Deprecated /api aliases announce their /api/v1 successor (index.js)
+        exposedHeaders: ["Deprecation", "Link", "Sunset", "Retry-After"],
+        maxAge: 600,
+    };
+}
+
+// =======================
+// 🔑 Tokens
+// =======================
+
+function issueToken(user) {
+    const token = jwt.sign(
+        { role: user.role, name: user.displayName },
+        signingKey(),
+        { algorithm: "HS256", expiresIn: process.env.JWT_EXPIRES_IN || "8h", issuer: ISSUER, subject: user.username, jwtid: crypto.randomUUID() }
+    );
+    const { exp } = jwt.decode(token);
+    return { token, expiresAt: new Date(exp * 1000).toISOString() };
+}
+
+function revokeToken(claims) {
+    const now = Date.now();
+    revokedTokens.forEach((expiry, jti) => {
+        if (expiry <= now) revokedTokens.delete(jti);
+    });
+    revokedTokens.set(claims.jti, claims.exp * 1000);
+}
+
+const unauthorized = (res, error) => sendError(res, "UNAUTHENTICATED", error);
+
+// Verifies the bearer token and sets req.user = { username, displayName, role, permissions }.
+// The user is looked up again on every request, so disabling a user or changing
+// their role takes effect without waiting for the token to expire.
+export function authenticate(req, res, next) {
+    const [scheme, token] = String(req.headers.authorization || "").split(" ");
+    if (scheme !== "Bearer" || !token) {
+        return unauthorized(res, "Authentication required");
+    }
+
+    let claims;
+    try {
+        claims = jwt.verify(token, signingKey(), { algorithms: ["HS256"], issuer: ISSUER });
+    } catch (err) {
+        return unauthorized(res, err.name === "TokenExpiredError" ? "Session expired" : "Invalid token");
+    }
+    if (revokedTokens.has(claims.jti)) {
+        return unauthorized(res, "Session ended");
+    }
+
+    const user = findUser(claims.sub);
+    if (!user || user.disabled) {
+        return unauthorized(res, "User is not active");
+    }
+
+    req.user = {
+        username: user.username,
+        displayName: user.displayName,
+        role: user.role,
+        permissions: permissionsOf(user.role),
+    };
+    req.tokenClaims = claims;
+    next();
+}
+
+// Route guard: app.get("/api/x", requirePermission("aggregates:read"), handler)
+export function requirePermission(permission) {
+    const guard = (req, res, next) => {
+        if (!req.user) {
+            return unauthorized(res, "Authentication required");
+        }
+        if (!hasPermission(req.user, permission)) {
+            console.warn(`🚫 ${req.user.username} (${req.user.role}) denied ${req.method} ${req.originalUrl}`);
+            return sendError(res, "FORBIDDEN", `Forbidden: requires ${permission} permission`);
+        }
+        next();
+    };
+    guard.permission = permission; // for the OpenAPI document
+    return guard;
+}
+
+// =======================
+// 👤 Auth routes
+// =======================
+
+function checkLockout(username) {
+    const entry = failedLogins.get(username);
+    if (entry?.lockedUntil && entry.lockedUntil > Date.now()) {
+        return Math.ceil((entry.lockedUntil - Date.now()) / 1000);
+    }
+    return 0;
+}
+
+function recordFailedLogin(username) {
+    const entry = failedLogins.get(username) || { count: 0, lockedUntil: null };
+    entry.count++;
+    if (entry.count >= MAX_FAILED_LOGINS) {
+        entry.count = 0;
+        entry.lockedUntil = Date.now() + LOCKOUT_MS;
+        console.warn(`🔒 Too many failed logins for "${username}" - locked for ${LOCKOUT_MS / 60000} minutes`);
+    }
+    failedLogins.set(username, entry);
+}
+
+export function createAuthRouter() {
+    const router = express.Router();
+
+    router.post("/login", validateRequest(schemas.login), (req, res) => {
+        const { username, password } = req.body;
+
+        const key = username.trim().toLowerCase();
+        const retryAfter = checkLockout(key);
+        if (retryAfter > 0) {
+            res.set("Retry-After", String(retryAfter));
+            return sendError(res, "RATE_LIMITED", "Too many failed logins. Try again later.");
+        }
+
+        const user = findUser(key);
+        if (!user || user.disabled || !verifyPassword(password, user.passwordHash)) {
+            recordFailedLogin(key);
+            return unauthorized(res, "Invalid username or password");
+        }
+
+        failedLogins.delete(key);
+        const session = issueToken(user);
+        console.log(`🔑 ${user.username} (${user.role}) logged in`);
+        res.json({ success: true, ...session, user: { ...publicUser(user), permissions: permissionsOf(user.role) } });
+    });
+
+    router.post("/logout", authenticate, validateRequest(schemas.logout), (req, res) => {
+        revokeToken(req.tokenClaims);
+        res.json({ success: true });
+    });
+
+    router.get("/me", authenticate, validateRequest(schemas.me), (req, res) => {
+        res.json({ success: true, user: req.user, expiresAt: new Date(req.tokenClaims.exp * 1000).toISOString() });
+    });
+
+    router.get("/users", authenticate, requirePermission("users:admin"), validateRequest(schemas.listUsers), (req, res) => {
+        res.json({ success: true, users: listUsers() });
+    });
+
+    router.post("/users", authenticate, requirePermission("users:admin"), validateRequest(schemas.createUser), (req, res) => {
+        try {
+            const user = createUser(req.body);
+            console.log(`👤 ${req.user.username} created user "${user.username}" (${user.role})`);
+            res.status(201).json({ success: true, user });
+        } catch (err) {
+            if (err.code === "USER_EXISTS") return sendError(res, "CONFLICT", err.message);
+            if (err.code !== "INVALID_USER") throw err;
+            sendError(res, "VALIDATION_ERROR", err.message);
+        }
+    });
+
+    return router;
+}
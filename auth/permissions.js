@@ -0,0 +1,50 @@
+// auth/permissions.js
+//
+// Roles and what each may do. Routes ask for a permission, never a role
+// (see requirePermission in auth/index.js), so a role can be widened here
+// without touching index.js.
+//
+//   patients:read   identified patient records (details, search, pregnancies, lists)
+//   aggregates:read counts, rates, trends, cohort and area summaries
+//   worklist:read   worklist, alerts, antenatal schedules
+//   alerts:write    acknowledge / snooze alerts
+//   ai:generate     Gemini insights and plans (/api/ai)
+//   backtest:run    prediction engine backtests
+//   debug:read      debug dumps and cache internals
+//   cache:admin     force a cache reload
+//   users:admin     list and create users
+//   audit:read      query and verify the PHI access audit log
+//   export:deidentified  de-identified research export (deidentify.js)
+
+export const ROLES = ["clinician", "analyst", "admin", "field_worker"];
+
+export const PERMISSIONS = [
+    "patients:read",
+    "aggregates:read",
+    "worklist:read",
+    "alerts:write",
+    "ai:generate",
+    "backtest:run",
+    "debug:read",
+    "cache:admin",
+    "users:admin",
+    "audit:read",
+    "export:deidentified",
+];
+
+const ROLE_PERMISSIONS = {
+    clinician: ["patients:read", "aggregates:read", "worklist:read", "alerts:write", "ai:generate"],
+    // ⭐️ Analysts only see aggregates - no record-level patient data
+    analyst: ["aggregates:read", "backtest:run", "export:deidentified"],
+    field_worker: ["patients:read", "aggregates:read", "worklist:read", "alerts:write"],
+    // ⭐️ No ai:generate - AI output is for clinicians
+    admin: ["patients:read", "aggregates:read", "worklist:read", "alerts:write", "backtest:run", "debug:read", "cache:admin", "users:admin", "audit:read", "export:deidentified"],
+};
+
+export function permissionsOf(role) {
+    return ROLE_PERMISSIONS[role] || [];
+}
+
+export function hasPermission(user, permission) {
+    return Boolean(user) && permissionsOf(user.role).includes(permission);
+}
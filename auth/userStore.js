@@ -0,0 +1,102 @@
+// auth/userStore.js
+//
+// Local user store: a JSON file (USERS_FILE, default data/users.json) of
+//   { username, displayName, role, passwordHash, disabled, createdAt }
+// Passwords are hashed with scrypt ("scrypt$<salt>$<hash>", both base64).
+//
+// On first start, when the file is missing or empty and ADMIN_USERNAME /
+// ADMIN_PASSWORD are set, an admin user is created from them so there is
+// someone to log in as. The file holds credentials - keep it out of git.
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { fileURLToPath } from "url";
+import { ROLES } from "./permissions.js";
+
+export const DEFAULT_USERS_FILE = path.join(
+    path.dirname(fileURLToPath(import.meta.url)), "..", "data", "users.json"
+);
+
+const KEY_LENGTH = 64;
+const MIN_PASSWORD_LENGTH = 10;
+const USERNAME_PATTERN = /^[a-z0-9._-]{3,64}$/;
+
+export function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const hash = crypto.scryptSync(String(password), salt, KEY_LENGTH);
+    return `scrypt$${salt.toString("base64")}$${hash.toString("base64")}`;
+}
+
+export function verifyPassword(password, passwordHash) {
+    const [scheme, salt, expected] = String(passwordHash || "").split("$");
+    if (scheme !== "scrypt" || !salt || !expected) return false;
+    const hash = crypto.scryptSync(String(password), Buffer.from(salt, "base64"), KEY_LENGTH);
+    const expectedHash = Buffer.from(expected, "base64");
+    return hash.length === expectedHash.length && crypto.timingSafeEqual(hash, expectedHash);
+}
+
+// User without the password hash, for responses and req.user
+export const publicUser = ({ passwordHash, ...user }) => user;
+
+let usersFile = null;
+let users = new Map(); // username -> user
+
+function save() {
+    fs.mkdirSync(path.dirname(usersFile), { recursive: true });
+    fs.writeFileSync(usersFile, JSON.stringify([...users.values()], null, 2) + "\n", { mode: 0o600 });
+}
+
+function validationError(message) {
+    return Object.assign(new Error(message), { code: "INVALID_USER" });
+}
+
+export function loadUsers(file = process.env.USERS_FILE || DEFAULT_USERS_FILE, env = process.env) {
+    usersFile = file;
+    const rows = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8") || "[]") : [];
+    users = new Map(rows.map((user) => [user.username, user]));
+
+    if (users.size === 0 && env.ADMIN_USERNAME && env.ADMIN_PASSWORD) {
+        createUser({ username: env.ADMIN_USERNAME, password: env.ADMIN_PASSWORD, role: "admin", displayName: "Administrator" });
+        console.log(`👤 Created admin user "${env.ADMIN_USERNAME}" in ${file}`);
+    }
+    if (users.size === 0) {
+        console.warn(`⚠️ No users in ${file} - set ADMIN_USERNAME and ADMIN_PASSWORD to create the first admin`);
+    }
+    console.log(`👥 ${users.size} user(s) loaded from ${file}`);
+    return users.size;
+}
+
+export function findUser(username) {
+    return users.get(String(username || "").trim().toLowerCase()) || null;
+}
+
+export function listUsers() {
+    return [...users.values()].map(publicUser).sort((a, b) => a.username.localeCompare(b.username));
+}
+
+// Throws (code "INVALID_USER") on a bad username, unknown role or short password,
+// and "USER_EXISTS" when the username is taken
+export function createUser({ username, password, role, displayName = null }) {
+    const name = String(username || "").trim().toLowerCase();
+    if (!USERNAME_PATTERN.test(name)) {
+        throw validationError("username must be 3-64 characters of a-z, 0-9, '.', '_' or '-'");
+    }
+    if (users.has(name)) throw Object.assign(new Error(`User "${name}" already exists`), { code: "USER_EXISTS" });
+    if (!ROLES.includes(role)) throw validationError(`role must be one of: ${ROLES.join(", ")}`);
+    if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+        throw validationError(`password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+
+    const user = {
+        username: name,
+        displayName: displayName || name,
+        role,
+        passwordHash: hashPassword(password),
+        disabled: false,
+        createdAt: new Date().toISOString(),
+    };
+    users.set(name, user);
+    save();
+    return publicUser(user);
+}
@@ -0,0 +1,208 @@
+// backtest.js
+//
+// Replays the PredictionEngine on delivered patients using only the visits
+// recorded up to a chosen gestational age, then scores the predictions
+// against what actually happened (deliveries + babies in the main cache).
+
+import { randomUUID } from "crypto";
+import PredictionEngine from "./PredictionEngine.js";
+import { classifyDeliveryMode, groupByPatientId, birthWeightKg } from "./clinicalUtils.js";
+import { linkPregnancyEpisodes } from "./pregnancyEpisodes.js";
+import { brierScore, rocAuc, calibrationCurve, meanAbsoluteError, mean } from "./stats.js";
+
+const CHUNK_SIZE = 250;
+const MAX_JOBS = 20;
+const jobs = new Map();
+
+const round = (value, decimals = 4) => (value == null ? null : Number(value.toFixed(decimals)));
+
+// What actually happened to one patient
+function actualOutcome(patient, deliveries, babies) {
+    const delivery = deliveries[deliveries.length - 1];
+    const gaAtDelivery = Number(delivery.GESTATIONAL_AGE_AT_DELIVERY) || null;
+    const weights = babies.map((b) => birthWeightKg(b.BIRTH_WEIGHT)).filter((w) => w !== null);
+    const mode = classifyDeliveryMode(delivery.DELIVERY_MODE);
+
+    return {
+        premature: gaAtDelivery !== null ? (gaAtDelivery < 37 ? 1 : 0) : (patient.SOURCE_SCHEMA === "PREMATURE" ? 1 : 0),
+        mortality: patient.SOURCE_SCHEMA === "MORTALITY" ? 1 : 0,
+        cSection: mode === null ? null : (mode === "csection" ? 1 : 0),
+        gestationalAge: gaAtDelivery,
+        birthWeight: weights.length ? mean(weights) : null,
+    };
+}
+
+function scoreBinary(records, predictedKey, actualKey, bins) {
+    const usable = records.filter((r) => r.actual[actualKey] !== null);
+    const predictions = usable.map((r) => r.predicted[predictedKey]);
+    const outcomes = usable.map((r) => r.actual[actualKey]);
+
+    return {
+        n: usable.length,
+        observedRate: round(mean(outcomes)),
+        meanPredicted: round(mean(predictions)),
+        brier: round(brierScore(predictions, outcomes)),
+        auc: round(rocAuc(predictions, outcomes)),
+        calibration: calibrationCurve(predictions, outcomes, bins).map((bin) => ({
+            ...bin,
+            meanPredicted: round(bin.meanPredicted),
+            observedRate: round(bin.observedRate),
+        })),
+    };
+}
+
+function scoreContinuous(records, predictedKey, actualKey) {
+    const usable = records.filter((r) => r.actual[actualKey] !== null);
+    const predicted = usable.map((r) => r.predicted[predictedKey]);
+    const actual = usable.map((r) => r.actual[actualKey]);
+
+    return {
+        n: usable.length,
+        mae: round(meanAbsoluteError(predicted, actual)),
+        bias: round(mean(predicted.map((p, i) => p - actual[i]))),
+    };
+}
+
+function scoreRecords(records, bins) {
+    return {
+        patients: records.length,
+        deliveryType: {
+            premature: scoreBinary(records, "premature", "premature", bins),
+            mortality: scoreBinary(records, "mortality", "mortality", bins),
+        },
+        deliveryMode: {
+            cSection: scoreBinary(records, "cSection", "cSection", bins),
+        },
+        expectedGestationalAge: scoreContinuous(records, "gestationalAge", "gestationalAge"),
+        expectedBirthWeight: scoreContinuous(records, "birthWeight", "birthWeight"),
+    };
+}
+
+function scoreSlices(records, field, bins) {
+    const groups = new Map();
+    records.forEach((record) => {
+        const key = record[field] ?? "Unknown";
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(record);
+    });
+    return Object.fromEntries([...groups.entries()].map(([key, group]) => [key, scoreRecords(group, bins)]));
+}
+
+// data: { patients, visits, deliveries, babies } (the main unified cache)
+export async function runBacktest(data, { truncateAtGA = 32, bins = 10, onProgress } = {}) {
+    const visitsByPatient = groupByPatientId(data.visits);
+    const deliveriesByPatient = groupByPatientId(data.deliveries);
+    const babiesByPatient = groupByPatientId(data.babies);
+    const patients = (data.patients || []).filter((p) => deliveriesByPatient.has(String(p.PATIENT_ID)));
+
+    const records = [];
+    const excluded = { noVisitsBeforeCutoff: 0, deliveredBeforeCutoff: 0 };
+    onProgress?.(0, patients.length);
+
+    for (let i = 0; i < patients.length; i++) {
+        const patient = patients[i];
+        const key = String(patient.PATIENT_ID);
+        // ⭐️ Score the most recent delivery against the visits of that pregnancy only
+        const { episodes } = linkPregnancyEpisodes({
+            visits: visitsByPatient.get(key),
+            deliveries: deliveriesByPatient.get(key),
+            babies: babiesByPatient.get(key),
+        });
+        const episode = episodes.filter((e) => e.delivery).at(-1);
+        const actual = actualOutcome(patient, episode.deliveryRecords, episode.babies);
+
+        if (actual.gestationalAge !== null && actual.gestationalAge <= truncateAtGA) {
+            excluded.deliveredBeforeCutoff++;
+        } else {
+            const visits = episode.visits
+                .filter((v) => Number(v.GESTATIONAL_AGE_WEEKS) > 0 && Number(v.GESTATIONAL_AGE_WEEKS) <= truncateAtGA);
+
+            if (visits.length === 0) {
+                excluded.noVisitsBeforeCutoff++;
+            } else {
+                const prediction = new PredictionEngine(visits, patient).generatePrediction();
+                records.push({
+                    PATIENT_ID: patient.PATIENT_ID,
+                    SOURCE_SCHEMA: patient.SOURCE_SCHEMA,
+                    BMI_STATUS: patient.BMI_STATUS,
+                    predicted: {
+                        premature: prediction.deliveryType.Premature,
+                        mortality: prediction.deliveryType.MortalityRisk,
+                        cSection: prediction.deliveryMode.CSection,
+                        gestationalAge: prediction.expectedGestationalAge,
+                        birthWeight: prediction.expectedBirthWeight,
+                    },
+                    actual,
+                });
+            }
+        }
+
+        // Let the event loop serve requests while a large backtest runs
+        if ((i + 1) % CHUNK_SIZE === 0) {
+            onProgress?.(i + 1, patients.length);
+            await new Promise((resolve) => setImmediate(resolve));
+        }
+    }
+
+    return {
+        truncateAtGA,
+        deliveredPatients: patients.length,
+        evaluatedPatients: records.length,
+        excluded,
+        overall: scoreRecords(records, bins),
+        bySourceSchema: scoreSlices(records, "SOURCE_SCHEMA", bins),
+        byBmiStatus: scoreSlices(records, "BMI_STATUS", bins),
+        generatedAt: new Date().toISOString(),
+    };
+}
+
+// ====== In-memory job tracking ======
+
+export function startBacktestJob(data, options = {}) {
+    const job = {
+        id: randomUUID(),
+        status: "running",
+        options: { truncateAtGA: options.truncateAtGA, bins: options.bins },
+        progress: { processed: 0, total: null },
+        startedAt: new Date().toISOString(),
+        finishedAt: null,
+        result: null,
+        error: null,
+    };
+    jobs.set(job.id, job);
+
+    // Keep only the most recent jobs
+    while (jobs.size > MAX_JOBS) {
+        jobs.delete(jobs.keys().next().value);
+    }
+
+    runBacktest(data, {
+        ...options,
+        onProgress: (processed, total) => {
+            job.progress = { processed, total };
+        },
+    })
+        .then((result) => {
+            job.status = "completed";
+            job.result = result;
+            job.progress.processed = job.progress.total;
+        })
+        .catch((err) => {
+            console.error("❌ Backtest failed:", err);
+            job.status = "failed";
+            job.error = err.message;
+        })
+        .finally(() => {
+            job.finishedAt = new Date().toISOString();
+        });
+
+    return job;
+}
+
+export function getBacktestJob(id) {
+    return jobs.get(id) || null;
+}
+
+export function listBacktestJobs() {
+    return [...jobs.values()].map(({ result, ...job }) => job);
+}
@@ -0,0 +1,98 @@
+// Shared helpers for reading the free-text clinical columns
+// (COMPLICATIONS, MEDICAL_HISTORY, DELIVERY_COMPLICATIONS, ...)
+
+// "no history of", "denies", "negative for" ... within the same clause
+const NEGATION_PATTERN = /\b(no|not|nil|denies|denied|without|negative for)\b(\s+[^\s.,;]+){0,3}\s*$/;
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Returns the first term mentioned in `text` (whole words, case-insensitive),
+// skipping negated mentions. Returns null when nothing matches.
+export function findMention(text, terms) {
+    if (!text || typeof text !== "string") return null;
+    const lower = text.toLowerCase();
+
+    for (const term of terms) {
+        const pattern = new RegExp(`(^|[^a-z])${escapeRegExp(term.toLowerCase())}(?![a-z])`, "g");
+        let match;
+        while ((match = pattern.exec(lower)) !== null) {
+            const clause = lower.slice(Math.max(0, match.index - 40), match.index + match[1].length);
+            if (!NEGATION_PATTERN.test(clause)) return term;
+        }
+    }
+    return null;
+}
+
+export function mentionsAny(text, terms) {
+    return findMention(text, terms) !== null;
+}
+
+// Joins several free-text values into one searchable string
+export function joinText(...values) {
+    return values
+        .flat()
+        .filter((value) => typeof value === "string" && value.trim() !== "")
+        .join(" ; ");
+}
+
+// DELIVERY_MODE -> "normal" | "csection" | null (same rules as /api/home-summary)
+export function classifyDeliveryMode(mode) {
+    const value = typeof mode === "string" ? mode.toLowerCase() : "";
+    if (!value) return null;
+    if (value.includes("vaginal") || value.includes("normal")) return "normal";
+    if (value.includes("c-section") || value.includes("cesarean") || value.includes("c_section")) return "csection";
+    return null;
+}
+
+// Birth weight is recorded in kg; values that look like grams are converted
+export function birthWeightKg(value) {
+    const weight = Number(value);
+    if (!weight || Number.isNaN(weight)) return null;
+    return weight > 100 ? weight / 1000 : weight;
+}
+
+// "Yes" / "Y" / "true" / 1 -> true, "No" / "N" / "false" / 0 -> false, else null
+// (flag columns such as NICU_ADMISSION)
+export function yesNo(value) {
+    if (value === null || value === undefined || value === "") return null;
+    const text = String(value).trim().toLowerCase();
+    if (["yes", "y", "true", "1", "admitted"].includes(text)) return true;
+    if (["no", "n", "false", "0", "not admitted"].includes(text)) return false;
+    return null;
+}
+
+// "120/80", "120 / 80 mmHg" -> { systolic: 120, diastolic: 80 }; null when unreadable.
+// Unlike PredictionEngine.parseBloodPressure this never substitutes defaults.
+export function parseBloodPressureReading(value) {
+    if (value === null || value === undefined) return null;
+    const match = String(value).trim().match(/^(\d{2,3}(?:\.\d+)?)\s*\/\s*(\d{2,3}(?:\.\d+)?)\s*(mm\s*hg)?$/i);
+    if (!match) return null;
+    return { systolic: Number(match[1]), diastolic: Number(match[2]) };
+}
+
+// Most recent visit: latest VISIT_DATE, ties (or missing dates) broken by GA
+export function latestVisitOf(visits) {
+    if (!visits || visits.length === 0) return null;
+    const time = (visit) => {
+        const t = visit.VISIT_DATE ? new Date(visit.VISIT_DATE).getTime() : NaN;
+        return Number.isNaN(t) ? -Infinity : t;
+    };
+    return visits.reduce((latest, visit) => {
+        const [a, b] = [time(visit), time(latest)];
+        const diff = a === b ? 0 : a - b;
+        if (diff > 0) return visit;
+        if (diff === 0 && Number(visit.GESTATIONAL_AGE_WEEKS) > Number(latest.GESTATIONAL_AGE_WEEKS)) return visit;
+        return latest;
+    });
+}
+
+// rows -> Map("<PATIENT_ID>" -> rows[])
+export function groupByPatientId(rows) {
+    const map = new Map();
+    (rows || []).forEach((row) => {
+        const key = String(row.PATIENT_ID);
+        if (!map.has(key)) map.set(key, []);
+        map.get(key).push(row);
+    });
+    return map;
+}
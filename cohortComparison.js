@@ -0,0 +1,218 @@
+// cohortComparison.js
+//
+// Side-by-side delivery outcomes for two patient cohorts, each defined by a
+// filter (BMI_STATUS, age band, parity, anaemia at a given GA, ...). The unit
+// of analysis is a delivered pregnancy episode (see pregnancyEpisodes.js);
+// baby outcomes use every baby linked to those deliveries.
+//
+// Binary outcomes report both rates with Wilson intervals, the risk
+// difference (Newcombe interval), the risk ratio and Fisher's exact test.
+// Continuous outcomes report mean / SD / median, the mean difference with a
+// Welch t-test and Hedges' g. APGAR is ordinal, so the 1-minute and
+// 5-minute scores (APGAR_SCORE_1MIN / APGAR_SCORE_5MIN) are compared
+// separately with Mann-Whitney U and the rank-biserial correlation.
+// p-values are not adjusted for the number of outcomes compared.
+
+import { validateVisitRecords } from "./visitValidation.js";
+import { classifyDeliveryMode, birthWeightKg, yesNo } from "./clinicalUtils.js";
+import {
+    mean, median, standardDeviation, wilsonInterval, normalQuantile,
+    welchTTest, hedgesG, mannWhitneyU, fisherExact,
+} from "./stats.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ANAEMIA_HB_G_DL = 11; // WHO threshold in pregnancy
+const ANAEMIA_WINDOW_WEEKS = 2;
+const LOS_COLUMNS = ["LENGTH_OF_STAY", "LENGTH_OF_STAY_DAYS", "LOS_DAYS"];
+
+// Accepted keys of a cohort definition
+export const COHORT_FILTERS = {
+    name: "string",
+    bmiStatus: "string",
+    sourceSchema: "string",
+    address: "string",
+    ageMin: "number",
+    ageMax: "number",
+    parityMin: "number",
+    parityMax: "number",
+    anaemicAtWeeks: "number",
+    notAnaemicAtWeeks: "number",
+};
+
+const round = (value, decimals = 4) => (value == null || Number.isNaN(value) ? null : Number(value.toFixed(decimals)));
+const sameText = (a, b) => String(a ?? "").trim().toLowerCase() === String(b ?? "").trim().toLowerCase();
+const numberOrNull = (value) => (value === null || value === undefined || value === "" || Number.isNaN(Number(value)) ? null : Number(value));
+
+// =======================
+// 👥 Cohort membership
+// =======================
+
+// true / false when the episode has a Hb reading within the window around `weeks`, else null
+function anaemicAt(episode, weeks) {
+    const { visits } = validateVisitRecords(episode.visits);
+    const nearest = visits
+        .filter((v) => v.HEMOGLOBIN_LEVEL !== null && Math.abs(Number(v.GESTATIONAL_AGE_WEEKS) - weeks) <= ANAEMIA_WINDOW_WEEKS)
+        .sort((a, b) => Math.abs(a.GESTATIONAL_AGE_WEEKS - weeks) - Math.abs(b.GESTATIONAL_AGE_WEEKS - weeks))[0];
+    return nearest ? nearest.HEMOGLOBIN_LEVEL < ANAEMIA_HB_G_DL : null;
+}
+
+function inRange(value, min, max) {
+    if (min === undefined && max === undefined) return true;
+    const number = numberOrNull(value);
+    return number !== null && (min === undefined || number >= min) && (max === undefined || number <= max);
+}
+
+function matchesCohort(definition, patient, episode) {
+    if (definition.bmiStatus !== undefined && !sameText(patient.BMI_STATUS, definition.bmiStatus)) return false;
+    if (definition.sourceSchema !== undefined && !sameText(patient.SOURCE_SCHEMA, definition.sourceSchema)) return false;
+    if (definition.address !== undefined && !sameText(patient.ADDRESS, definition.address)) return false;
+    if (!inRange(patient.AGE, definition.ageMin, definition.ageMax)) return false;
+    if (!inRange(patient.PARITY, definition.parityMin, definition.parityMax)) return false;
+    if (definition.anaemicAtWeeks !== undefined && anaemicAt(episode, definition.anaemicAtWeeks) !== true) return false;
+    if (definition.notAnaemicAtWeeks !== undefined && anaemicAt(episode, definition.notAnaemicAtWeeks) !== false) return false;
+    return true;
+}
+
+// Delivered episodes of every patient matching the definition
+function selectCohort(store, definition) {
+    return store.patients.flatMap((patient) =>
+        store.episodesOf(patient.PATIENT_ID).episodes
+            .filter((episode) => episode.delivery && matchesCohort(definition, patient, episode))
+            .map((episode) => ({ patient, episode }))
+    );
+}
+
+// =======================
+// 📏 Outcome values
+// =======================
+
+function lengthOfStayDays(delivery) {
+    const recorded = LOS_COLUMNS.map((column) => numberOrNull(delivery[column])).find((value) => value !== null);
+    if (recorded !== undefined) return recorded;
+    const start = new Date(delivery.ADMISSION_DATE || delivery.DELIVERY_DATE).getTime();
+    const end = new Date(delivery.DISCHARGE_DATE).getTime();
+    if (Number.isNaN(start) || Number.isNaN(end) || end < start) return null;
+    return Math.round((end - start) / DAY_MS);
+}
+
+function outcomeValues(members) {
+    const deliveries = members.map(({ episode }) => episode.delivery);
+    const babies = members.flatMap(({ episode }) => episode.babies);
+    const modes = deliveries.map((d) => classifyDeliveryMode(d.DELIVERY_MODE)).filter(Boolean);
+    const gestationalAges = deliveries.map((d) => numberOrNull(d.GESTATIONAL_AGE_AT_DELIVERY)).filter((v) => v !== null);
+    const nicu = babies.map((b) => yesNo(b.NICU_ADMISSION)).filter((v) => v !== null);
+
+    return {
+        cSection: modes.map((mode) => mode === "csection"),
+        preterm: gestationalAges.map((ga) => ga < 37),
+        gestationalAgeAtDelivery: gestationalAges,
+        birthWeight: babies.map((b) => birthWeightKg(b.BIRTH_WEIGHT)).filter((v) => v !== null),
+        apgar1Min: babies.map((b) => numberOrNull(b.APGAR_SCORE_1MIN)).filter((v) => v !== null),
+        apgar5Min: babies.map((b) => numberOrNull(b.APGAR_SCORE_5MIN)).filter((v) => v !== null),
+        nicuAdmission: nicu,
+        lengthOfStay: deliveries.map(lengthOfStayDays).filter((v) => v !== null),
+    };
+}
+
+// =======================
+// 🧮 Comparisons
+// =======================
+
+function compareBinary(a, b, confidence) {
+    const [xa, xb] = [a.filter(Boolean).length, b.filter(Boolean).length];
+    const summary = (x, n) => {
+        const ci = wilsonInterval(x, n, confidence);
+        return { n, count: x, rate: n ? round(x / n) : null, ci: ci && { lower: round(ci.lower), upper: round(ci.upper) } };
+    };
+    const cohorts = [summary(xa, a.length), summary(xb, b.length)];
+    if (!a.length || !b.length) return { type: "binary", cohorts, riskDifference: null, riskRatio: null, test: null };
+
+    const [pa, pb] = [xa / a.length, xb / b.length];
+    const [ia, ib] = [wilsonInterval(xa, a.length, confidence), wilsonInterval(xb, b.length, confidence)];
+    const difference = pa - pb;
+    const z = normalQuantile(1 - (1 - confidence) / 2);
+    // Katz log interval; undefined when either count is 0
+    const ratio = xb > 0 ? pa / pb : null;
+    const logSe = xa > 0 && xb > 0 ? Math.sqrt(1 / xa - 1 / a.length + 1 / xb - 1 / b.length) : null;
+
+    return {
+        type: "binary",
+        cohorts,
+        riskDifference: {
+            estimate: round(difference),
+            ci: {
+                lower: round(difference - Math.sqrt((pa - ia.lower) ** 2 + (ib.upper - pb) ** 2)),
+                upper: round(difference + Math.sqrt((ia.upper - pa) ** 2 + (pb - ib.lower) ** 2)),
+            },
+        },
+        riskRatio: ratio === null ? null : {
+            estimate: round(ratio),
+            ci: logSe === null ? null : { lower: round(ratio * Math.exp(-z * logSe)), upper: round(ratio * Math.exp(z * logSe)) },
+        },
+        test: { name: "Fisher's exact test", pValue: round(fisherExact(xa, a.length - xa, xb, b.length - xb)) },
+    };
+}
+
+const describe = (values) => ({
+    n: values.length,
+    mean: round(mean(values)),
+    sd: round(standardDeviation(values)),
+    median: round(median(values)),
+});
+
+function compareContinuous(a, b, confidence, unit) {
+    const welch = welchTTest(a, b, confidence);
+    return {
+        type: "continuous",
+        unit,
+        cohorts: [describe(a), describe(b)],
+        meanDifference: welch && {
+            estimate: round(welch.difference),
+            ci: { lower: round(welch.ci.lower), upper: round(welch.ci.upper) },
+        },
+        effectSize: { measure: "Hedges' g", value: round(hedgesG(a, b)) },
+        test: welch && { name: "Welch t-test", statistic: round(welch.t), df: round(welch.df, 1), pValue: round(welch.pValue) },
+    };
+}
+
+function compareOrdinal(a, b) {
+    const test = mannWhitneyU(a, b);
+    return {
+        type: "ordinal",
+        cohorts: [describe(a), describe(b)],
+        effectSize: { measure: "rank-biserial correlation", value: round(test?.rankBiserial ?? null) },
+        test: test && { name: "Mann-Whitney U", statistic: test.u, z: round(test.z), pValue: round(test.pValue) },
+    };
+}
+
+// store: PatientStore of the main cache
+// definitions: two cohort filter objects (keys from COHORT_FILTERS)
+export function compareCohorts(store, definitions, { confidence = 0.95 } = {}) {
+    const members = definitions.map((definition) => selectCohort(store, definition));
+    const [a, b] = members.map(outcomeValues);
+    const episodeKey = ({ episode, patient }) => `${patient.PATIENT_ID}:${episode.episode}`;
+    const inFirst = new Set(members[0].map(episodeKey));
+
+    return {
+        confidence,
+        cohorts: definitions.map((definition, i) => ({
+            name: definition.name || `Cohort ${i + 1}`,
+            definition,
+            patients: new Set(members[i].map(({ patient }) => String(patient.PATIENT_ID))).size,
+            deliveries: members[i].length,
+            babies: members[i].reduce((total, { episode }) => total + episode.babies.length, 0),
+        })),
+        // Deliveries in both cohorts break the independence the tests assume
+        overlap: members[1].filter((member) => inFirst.has(episodeKey(member))).length,
+        outcomes: {
+            cSection: compareBinary(a.cSection, b.cSection, confidence),
+            preterm: compareBinary(a.preterm, b.preterm, confidence),
+            gestationalAgeAtDelivery: compareContinuous(a.gestationalAgeAtDelivery, b.gestationalAgeAtDelivery, confidence, "weeks"),
+            birthWeight: compareContinuous(a.birthWeight, b.birthWeight, confidence, "kg"),
+            apgar1Min: compareOrdinal(a.apgar1Min, b.apgar1Min),
+            apgar5Min: compareOrdinal(a.apgar5Min, b.apgar5Min),
+            nicuAdmission: compareBinary(a.nicuAdmission, b.nicuAdmission, confidence),
+            lengthOfStay: compareContinuous(a.lengthOfStay, b.lengthOfStay, confidence, "days"),
+        },
+    };
+}
@@ -0,0 +1,62 @@
+// dataSource/index.js
+//
+// Repository layer for the four unified datasets. Every adapter exposes:
+//
+//   connect() / ping() / close()               -> Promise (ping backs /readyz)
+//   loadDataset(name)                          -> rows of "patients" | "visits" | "deliveries" | "babies"
+//   loadChanges(name, since)                   -> rows whose change timestamp is after `since`
+//   supportsDelta, changeColumn                -> whether loadChanges can be used
+//   referenceAverages(deliveryType, deliveryMode) -> rows { GESTATIONAL_AGE_WEEKS, AVG_WEIGHT, AVG_FUNDAL,
+//                                                 AVG_HB, AVG_SYSTOLIC, AVG_DIASTOLIC, AVG_FHR }
+//   describe()                                 -> { type, ... } for status endpoints
+//
+// The adapter is picked with DATA_SOURCE=snowflake (default) | local.
+// LOCAL_DATA_DIR points the local adapter at a fixtures directory.
+// CHANGE_TIMESTAMP_COLUMN (e.g. UPDATED_AT) enables delta refreshes - see snapshot.js.
+// SF_POOL_MAX, SF_QUERY_TIMEOUT_MS, SF_LOAD_TIMEOUT_MS and SF_QUERY_RETRIES
+// override the Snowflake pool/timeout defaults.
+
+import { createSnowflakeAdapter } from "./snowflakeAdapter.js";
+import { createLocalAdapter, DEFAULT_FIXTURES_DIR } from "./localAdapter.js";
+
+export const DATA_SOURCE_TYPES = ["snowflake", "local"];
+
+const numberFromEnv = (value) => (value === undefined || value === "" || Number.isNaN(Number(value)) ? undefined : Number(value));
+
+function snowflakeLimits(env) {
+    const limits = {
+        poolMax: numberFromEnv(env.SF_POOL_MAX),
+        queryTimeoutMs: numberFromEnv(env.SF_QUERY_TIMEOUT_MS),
+        loadTimeoutMs: numberFromEnv(env.SF_LOAD_TIMEOUT_MS),
+        retries: numberFromEnv(env.SF_QUERY_RETRIES),
+    };
+    return Object.fromEntries(Object.entries(limits).filter(([, value]) => value !== undefined));
+}
+
+export function createDataSource(env = process.env) {
+    const type = (env.DATA_SOURCE || "snowflake").toLowerCase();
+    const changeColumn = env.CHANGE_TIMESTAMP_COLUMN || null;
+
+    if (type === "local") {
+        return createLocalAdapter({ dir: env.LOCAL_DATA_DIR || DEFAULT_FIXTURES_DIR, changeColumn });
+    }
+    if (type === "snowflake") {
+        // ⭐️ Make sure your .env file has these names
+        return createSnowflakeAdapter({
+            connectionOptions: {
+                account: env.SF_ACCOUNT,
+                username: env.SF_USER,
+                password: env.SF_PASSWORD,
+                warehouse: env.SF_WAREHOUSE,
+                database: env.SF_DATABASE,
+                schema: env.SF_SCHEMA,
+            },
+            changeColumn,
+            limits: snowflakeLimits(env),
+        });
+    }
+    throw new Error(`Unknown DATA_SOURCE "${env.DATA_SOURCE}" (expected one of: ${DATA_SOURCE_TYPES.join(", ")})`);
+}
+
+export { createSnowflakeAdapter, createLocalAdapter };
+export { loadSnapshot, DATASETS } from "./snapshot.js";
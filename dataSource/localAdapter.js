@@ -0,0 +1,175 @@
+// dataSource/localAdapter.js
+//
+// Offline adapter backed by fixture files, for development and running the
+// server without a Snowflake account. Each dataset is read from
+// `<dir>/<name>.json` (an array of rows) or, failing that, `<dir>/<name>.csv`
+// (header row + one row per record). Column names match the Snowflake tables
+// (e.g. BABY_SEX, APGAR_SCORE_1MIN / APGAR_SCORE_5MIN, no BABY_ID). The bundled
+// fixtures also carry the optional DELIVERY_DATE / BIRTH_DATE columns some
+// code paths use when present, and leave them out on a few rows (patients
+// 1005 and 1006 have an undated delivery) so the fallbacks get exercised.
+
+import { access, readFile } from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import { groupByPatientId, parseBloodPressureReading } from "../clinicalUtils.js";
+import { DATASETS } from "./snapshot.js";
+
+export const DEFAULT_FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "data", "fixtures");
+
+// Minimal RFC 4180 parser: quoted fields, escaped quotes, CRLF line endings
+export function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = "";
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ",") {
+            row.push(field);
+            field = "";
+        } else if (char === "\n" || char === "\r") {
+            if (char === "\r" && text[i + 1] === "\n") i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = "";
+        } else {
+            field += char;
+        }
+    }
+    if (field !== "" || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    const [header = [], ...records] = rows.filter((r) => r.some((value) => value !== ""));
+    return records.map((values) =>
+        Object.fromEntries(header.map((column, index) => [column.trim(), csvValue(values[index])]))
+    );
+}
+
+// Empty -> null, plain numbers -> Number (leading zeros are kept as text, e.g. phone numbers)
+function csvValue(value) {
+    if (value === undefined || value === "") return null;
+    return /^-?(0|[1-9]\d*)(\.\d+)?$/.test(value) ? Number(value) : value;
+}
+
+async function readDataset(dir, name) {
+    try {
+        const rows = JSON.parse(await readFile(path.join(dir, `${name}.json`), "utf8"));
+        if (!Array.isArray(rows)) throw new Error(`${name}.json must contain an array of rows`);
+        return rows;
+    } catch (err) {
+        if (err.code !== "ENOENT") throw err;
+    }
+    try {
+        return parseCsv(await readFile(path.join(dir, `${name}.csv`), "utf8"));
+    } catch (err) {
+        if (err.code !== "ENOENT") throw err;
+        console.warn(`⚠️ No ${name}.json or ${name}.csv in ${dir} - using an empty dataset`);
+        return [];
+    }
+}
+
+const average = (values) => {
+    const present = values.filter((v) => v !== null && v !== undefined && v !== "" && !Number.isNaN(Number(v)));
+    if (present.length === 0) return null;
+    return present.reduce((sum, v) => sum + Number(v), 0) / present.length;
+};
+
+// Snowflake ROUND: half away from zero
+const roundTo = (value, decimals = 0) => {
+    if (value === null) return null;
+    const factor = 10 ** decimals;
+    return (Math.sign(value) * Math.round(Math.abs(value) * factor)) / factor;
+};
+
+const lower = (value) => String(value ?? "").toLowerCase();
+
+const changedSince = (column, since) => (row) => {
+    const time = new Date(row[column] ?? NaN).getTime();
+    return !Number.isNaN(time) && time > new Date(since).getTime();
+};
+
+// Fixture files are re-read on every load, so edits show up on the next refresh
+export function createLocalAdapter({ dir = DEFAULT_FIXTURES_DIR, changeColumn = null } = {}) {
+    const loadDataset = (name) => {
+        if (!DATASETS.includes(name)) throw new Error(`Unknown dataset "${name}"`);
+        return readDataset(dir, name);
+    };
+
+    return {
+        name: "local",
+        supportsDelta: Boolean(changeColumn),
+        changeColumn,
+
+        async connect() {
+            await access(dir);
+            console.log(`📁 Using local fixtures from ${dir}`);
+        },
+
+        async ping() {
+            await access(dir);
+        },
+
+        async close() { },
+
+        loadDataset,
+
+        async loadChanges(name, since) {
+            return (await loadDataset(name)).filter(changedSince(changeColumn, since));
+        },
+
+        // Same rows as the Snowflake query: visits joined to matching deliveries,
+        // grouped by GA, NULL GA last
+        async referenceAverages(deliveryType, deliveryMode) {
+            const [visits, deliveries] = await Promise.all([loadDataset("visits"), loadDataset("deliveries")]);
+            const matching = deliveries.filter(
+                (d) => lower(d.SOURCE_SCHEMA) === lower(deliveryType) && lower(d.DELIVERY_MODE) === lower(deliveryMode)
+            );
+            const matchesByPatient = groupByPatientId(matching);
+
+            const byWeek = new Map();
+            visits.forEach((visit) => {
+                const joined = matchesByPatient.get(String(visit.PATIENT_ID)) || [];
+                const week = visit.GESTATIONAL_AGE_WEEKS ?? null;
+                joined.forEach(() => {
+                    if (!byWeek.has(week)) byWeek.set(week, []);
+                    byWeek.get(week).push(visit);
+                });
+            });
+
+            return [...byWeek.entries()]
+                .sort(([a], [b]) => (a === null) - (b === null) || a - b)
+                .map(([week, rows]) => {
+                    const bp = rows.map((r) => parseBloodPressureReading(r.BLOOD_PRESSURE));
+                    return {
+                        GESTATIONAL_AGE_WEEKS: week,
+                        AVG_WEIGHT: roundTo(average(rows.map((r) => r.MATERNAL_WEIGHT)), 2),
+                        AVG_FUNDAL: roundTo(average(rows.map((r) => r.FUNDAL_HEIGHT)), 2),
+                        AVG_HB: roundTo(average(rows.map((r) => r.HEMOGLOBIN_LEVEL)), 2),
+                        AVG_SYSTOLIC: roundTo(average(bp.map((r) => r?.systolic ?? null))),
+                        AVG_DIASTOLIC: roundTo(average(bp.map((r) => r?.diastolic ?? null))),
+                        AVG_FHR: roundTo(average(rows.map((r) => r.FETAL_HEART_RATE)), 2),
+                    };
+                });
+        },
+
+        describe() {
+            return { type: "local", dir, changeColumn };
+        },
+    };
+}
@@ -0,0 +1,127 @@
+// dataSource/snapshot.js
+//
+// Builds a complete, immutable snapshot of the four datasets, either by
+// reloading every table or by applying only the rows whose change timestamp
+// is newer than the previous snapshot's cursor. Nothing here mutates the
+// previous snapshot, so readers keep using it until the caller swaps.
+//
+// Delta loads only see inserts and updates; hard deletes are picked up by the
+// next full refresh.
+//
+// Rows without their ID column are matched on a natural key. Rows that tie on
+// it (twins of the same weight and sex, say) are numbered in load order
+// rather than merged, so none of them is dropped; a delta row updates the
+// row with the same key and number. An ID-less row whose key columns change
+// shows up as a new row until the next full refresh.
+
+export const DATASETS = ["patients", "visits", "deliveries", "babies"];
+
+// Primary key per dataset, with a natural key for rows that lack the ID column
+const ID_COLUMNS = { patients: "PATIENT_ID", visits: "VISIT_ID", deliveries: "DELIVERY_ID", babies: "BABY_ID" };
+const NATURAL_KEYS = {
+    patients: ["PATIENT_ID"],
+    visits: ["PATIENT_ID", "VISIT_DATE", "GESTATIONAL_AGE_WEEKS"],
+    deliveries: ["PATIENT_ID", "DELIVERY_DATE"],
+    babies: ["PATIENT_ID", "DELIVERY_ID", "BIRTH_DATE", "BIRTH_WEIGHT", "BABY_SEX"],
+};
+
+const keyPart = (value) => (value instanceof Date ? value.toISOString() : String(value ?? ""));
+
+export function rowKey(dataset, row) {
+    const id = row[ID_COLUMNS[dataset]];
+    if (id !== null && id !== undefined) return `id:${keyPart(id)}`;
+    return NATURAL_KEYS[dataset].map((column) => keyPart(row[column])).join("|");
+}
+
+// [key, row] pairs; natural-key ties get "#1", "#2", ... in row order
+function keyRows(dataset, rows) {
+    const seen = new Map();
+    return rows.map((row) => {
+        const key = rowKey(dataset, row);
+        if (key.startsWith("id:")) return [key, row];
+        const count = seen.get(key) || 0;
+        seen.set(key, count + 1);
+        return [count > 0 ? `${key}#${count}` : key, row];
+    });
+}
+
+const toTime = (value) => {
+    if (value === null || value === undefined || value === "") return NaN;
+    return new Date(value).getTime();
+};
+
+// Latest change timestamp in a dataset (ISO string), or the previous cursor
+function maxChange(rows, column, previous = null) {
+    let max = toTime(previous);
+    rows.forEach((row) => {
+        const time = toTime(row[column]);
+        if (!Number.isNaN(time) && (Number.isNaN(max) || time > max)) max = time;
+    });
+    return Number.isNaN(max) ? null : new Date(max).toISOString();
+}
+
+const indexRows = (dataset, rows) => new Map(keyRows(dataset, rows));
+
+// Row counts added / updated / removed between two full copies of a dataset
+function diffRows(dataset, before, after) {
+    const previous = indexRows(dataset, before);
+    const delta = { added: 0, updated: 0, removed: 0 };
+    const seen = new Set();
+    keyRows(dataset, after).forEach(([key, row]) => {
+        seen.add(key);
+        const old = previous.get(key);
+        if (!old) delta.added++;
+        else if (JSON.stringify(old) !== JSON.stringify(row)) delta.updated++;
+    });
+    previous.forEach((row, key) => {
+        if (!seen.has(key)) delta.removed++;
+    });
+    return delta;
+}
+
+// Upsert changed rows into a copy of the dataset
+function mergeChanges(dataset, rows, changes) {
+    const merged = indexRows(dataset, rows);
+    const delta = { added: 0, updated: 0, removed: 0 };
+    keyRows(dataset, changes).forEach(([key, row]) => {
+        if (merged.has(key)) delta.updated++;
+        else delta.added++;
+        merged.set(key, row);
+    });
+    return { rows: [...merged.values()], delta };
+}
+
+// previous: snapshot returned by an earlier call (or null).
+// Returns { type: "full" | "delta", data: { patients, visits, deliveries, babies }, cursor, deltas }
+export async function loadSnapshot(dataSource, previous = null, { full = false } = {}) {
+    const column = dataSource.changeColumn;
+    const useDelta = !full && Boolean(previous) && dataSource.supportsDelta;
+
+    const results = await Promise.all(
+        DATASETS.map(async (dataset) => {
+            const before = previous?.data[dataset] || [];
+            const since = previous?.cursor?.[dataset] ?? null;
+
+            // A dataset without a cursor (no change timestamps seen yet) is reloaded in full
+            if (useDelta && since) {
+                const changes = await dataSource.loadChanges(dataset, since);
+                const { rows, delta } = mergeChanges(dataset, before, changes);
+                return { rows, delta, cursor: maxChange(changes, column, since) };
+            }
+
+            const rows = await dataSource.loadDataset(dataset);
+            return {
+                rows,
+                delta: diffRows(dataset, before, rows),
+                cursor: column ? maxChange(rows, column) : null,
+            };
+        })
+    );
+
+    return {
+        type: useDelta ? "delta" : "full",
+        data: Object.fromEntries(DATASETS.map((dataset, i) => [dataset, results[i].rows])),
+        cursor: Object.fromEntries(DATASETS.map((dataset, i) => [dataset, results[i].cursor])),
+        deltas: Object.fromEntries(DATASETS.map((dataset, i) => [dataset, results[i].delta])),
+    };
+}
@@ -0,0 +1,179 @@
+// dataSource/snowflakeAdapter.js
+//
+// Reads the unified tables/views from Snowflake. Table names come from config
+// so a different database/schema can be used without touching the queries.
+//
+// Connections come from a pool (snowflake.createPool). Borrowed connections
+// are validated first, and a connection whose session expired or whose
+// network failed is destroyed instead of returned, so the next attempt opens
+// a fresh session. Transient failures are retried with backoff and every
+// query is cancelled once it exceeds its timeout.
+
+import snowflake from "snowflake-sdk";
+import { DATASETS } from "./snapshot.js";
+import { withRetry, withTimeout } from "../retry.js";
+
+export const DEFAULT_SNOWFLAKE_TABLES = {
+    visits: "HEAL.HOSPITAL_TABLE.unified_visits_table",
+    patients: "HEAL.HOSPITAL_TABLE.unified_patients_table",
+    deliveries: "HEAL.HOSPITAL_TABLE.UNIFIED_DELIVERY_TABLE",
+    babies: "HEAL.HOSPITAL_TABLE.unified_baby_table",
+    visitsView: "HEAL.HOSPITAL_VIEW.UNIFIED_VISITS_VIEW",
+    deliveriesView: "HEAL.HOSPITAL_VIEW.UNIFIED_DELIVERIES_VIEW",
+};
+
+export const DEFAULT_SNOWFLAKE_LIMITS = {
+    poolMin: 0,
+    poolMax: 4,
+    acquireTimeoutMs: 30 * 1000,
+    queryTimeoutMs: 2 * 60 * 1000, // API queries
+    loadTimeoutMs: 10 * 60 * 1000, // full table loads
+    pingTimeoutMs: 5 * 1000,
+    retries: 3,
+};
+
+const IDENTIFIER = /^[A-Za-z_][A-Za-z0-9_$]*$/;
+
+// Session/master token expired or session gone - needs a new connection
+const SESSION_ERROR_CODES = new Set(["390104", "390111", "390112", "390114"]);
+// snowflake-sdk network/response errors and socket-level failures
+const NETWORK_ERROR_CODES = new Set([
+    "401001", "401002", "401003", "402001", "402002",
+    "ECONNRESET", "ECONNREFUSED", "ETIMEDOUT", "EPIPE", "EAI_AGAIN", "ENOTFOUND",
+]);
+
+const isSessionError = (err) => SESSION_ERROR_CODES.has(String(err?.code));
+const isNetworkError = (err) => NETWORK_ERROR_CODES.has(String(err?.code));
+const isBrokenConnection = (err) => isSessionError(err) || isNetworkError(err);
+// Query timeouts are not retried - the same query would most likely time out again
+const isTransient = (err) => Boolean(err?.acquireFailed) || isBrokenConnection(err);
+
+// changeColumn: timestamp column updated on every insert/update (e.g. UPDATED_AT).
+// Without it every refresh reloads the full tables.
+export function createSnowflakeAdapter({ connectionOptions, tables = {}, changeColumn = null, limits = {} } = {}) {
+    if (changeColumn && !IDENTIFIER.test(changeColumn)) {
+        throw new Error(`Invalid change timestamp column "${changeColumn}"`);
+    }
+    const t = { ...DEFAULT_SNOWFLAKE_TABLES, ...tables };
+    const l = { ...DEFAULT_SNOWFLAKE_LIMITS, ...limits };
+
+    const pool = snowflake.createPool(
+        { ...connectionOptions, clientSessionKeepAlive: true },
+        {
+            min: l.poolMin,
+            max: l.poolMax,
+            testOnBorrow: true,
+            acquireTimeoutMillis: l.acquireTimeoutMs,
+            evictionRunIntervalMillis: 60 * 1000,
+            idleTimeoutMillis: 10 * 60 * 1000,
+        }
+    );
+
+    const tableFor = (name) => {
+        if (!DATASETS.includes(name)) throw new Error(`Unknown dataset "${name}"`);
+        return t[name];
+    };
+
+    const acquire = () =>
+        pool.acquire().catch((err) => {
+            throw Object.assign(new Error(`Unable to get a Snowflake connection: ${err.message}`), { acquireFailed: true });
+        });
+
+    const execute = (connection, sql, params, timeoutMs) => {
+        let statement;
+        const rows = new Promise((resolve, reject) => {
+            statement = connection.execute({
+                sqlText: sql,
+                binds: params,
+                complete: (err, stmt, result) => (err ? reject(err) : resolve(result || [])),
+            });
+        });
+        return withTimeout(rows, timeoutMs, {
+            message: `Snowflake query timed out after ${timeoutMs}ms`,
+            onTimeout: () => statement?.cancel(() => { }),
+        });
+    };
+
+    // utility to run queries returning Promise<rows>
+    const runQuery = (sql, params = [], { timeoutMs = l.queryTimeoutMs, retries = l.retries } = {}) =>
+        withRetry(async () => {
+            const connection = await acquire();
+            let broken = false;
+            try {
+                return await execute(connection, sql, params, timeoutMs);
+            } catch (err) {
+                broken = isBrokenConnection(err);
+                throw err;
+            } finally {
+                (broken ? pool.destroy(connection) : pool.release(connection)).catch(() => { });
+            }
+        }, {
+            retries,
+            shouldRetry: isTransient,
+            onRetry: (err, attempt, delayMs) =>
+                console.warn(`⚠️ Snowflake query failed (${err.message}) - retry ${attempt}/${retries} in ${delayMs}ms`),
+        });
+
+    return {
+        name: "snowflake",
+
+        // Opens (and validates) a first pooled connection
+        async connect() {
+            await runQuery("SELECT CURRENT_SESSION() AS SESSION_ID", [], { timeoutMs: l.pingTimeoutMs });
+        },
+
+        // Cheap round trip for readiness checks - no retries, short timeout
+        async ping() {
+            await runQuery("SELECT 1", [], { timeoutMs: l.pingTimeoutMs, retries: 0 });
+        },
+
+        async close() {
+            await pool.drain();
+            await pool.clear();
+        },
+
+        supportsDelta: Boolean(changeColumn),
+        changeColumn,
+
+        loadDataset(name) {
+            return runQuery(`SELECT * FROM ${tableFor(name)}`, [], { timeoutMs: l.loadTimeoutMs });
+        },
+
+        // Rows inserted/updated after `since` (needs the change timestamp column)
+        loadChanges(name, since) {
+            return runQuery(`SELECT * FROM ${tableFor(name)} WHERE ${changeColumn} > ?`, [since], { timeoutMs: l.loadTimeoutMs });
+        },
+
+        // Per-GA averages of visits whose delivery matches the category
+        referenceAverages(deliveryType, deliveryMode) {
+            return runQuery(`
+                SELECT
+                    V.GESTATIONAL_AGE_WEEKS,
+                    ROUND(AVG(V.MATERNAL_WEIGHT), 2) AS AVG_WEIGHT,
+                    ROUND(AVG(V.FUNDAL_HEIGHT), 2) AS AVG_FUNDAL,
+                    ROUND(AVG(V.HEMOGLOBIN_LEVEL), 2) AS AVG_HB,
+                    ROUND(AVG(TRY_CAST(SPLIT_PART(V.BLOOD_PRESSURE, '/', 1) AS FLOAT))) AS AVG_SYSTOLIC,
+                    ROUND(AVG(TRY_CAST(SPLIT_PART(V.BLOOD_PRESSURE, '/', 2) AS FLOAT))) AS AVG_DIASTOLIC,
+                    ROUND(AVG(V.FETAL_HEART_RATE), 2) AS AVG_FHR
+                FROM ${t.visitsView} V
+                JOIN ${t.deliveriesView} D
+                    ON V.PATIENT_ID = D.PATIENT_ID
+                WHERE
+                    LOWER(D.SOURCE_SCHEMA) = LOWER(?)
+                    AND LOWER(D.DELIVERY_MODE) = LOWER(?)
+                GROUP BY V.GESTATIONAL_AGE_WEEKS
+                ORDER BY V.GESTATIONAL_AGE_WEEKS ASC
+            `, [deliveryType, deliveryMode]);
+        },
+
+        describe() {
+            return {
+                type: "snowflake",
+                account: connectionOptions?.account ?? null,
+                changeColumn,
+                pool: { size: pool.size, available: pool.available, borrowed: pool.borrowed, pending: pool.pending, max: pool.max },
+                timeouts: { queryMs: l.queryTimeoutMs, loadMs: l.loadTimeoutMs },
+            };
+        },
+    };
+}
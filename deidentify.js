@@ -0,0 +1,170 @@
+// deidentify.js
+//
+// De-identification applied before patient data leaves the server: Gemini
+// prompts (aiserver.js), debug endpoints and the researcher export.
+//
+// Columns are handled by name, so new Snowflake columns are covered when
+// they follow the usual naming:
+//   - direct identifiers (names, phone / email, national IDs, address parts)
+//     are dropped; with address "district" ADDRESS becomes AREA_DISTRICT
+//     (the gazetteer district code)
+//   - *_ID columns are replaced with keyed pseudonyms ("P-3f9a0c1e2b7d"),
+//     stable for a given DEID_SECRET so exports can be joined across datasets
+//   - date columns are shifted by a per-patient offset (up to
+//     ±DEID_MAX_SHIFT_DAYS, default 180), the same for every record of that
+//     patient, so intervals (visit spacing, GA at delivery, length of stay)
+//     are kept while calendar dates are not
+//   - other text (MEDICAL_HISTORY, COMPLICATIONS, ...) keeps its clinical
+//     content but has the patient's own name and phone number redacted
+//   - clinical values are untouched
+//
+// Profiles:
+//   llm       everything above, no address at all
+//   research  as llm, but ADDRESS generalised to the district
+//   debug     identifiers dropped and text scrubbed; real IDs and dates kept
+//             (admin-only debug routes need to find the underlying records)
+//
+// DEID_DROP_COLUMNS / DEID_KEEP_COLUMNS (comma-separated) extend or override
+// the column rules. Without DEID_SECRET a random per-process key is used, so
+// pseudonyms and date shifts change on every restart.
+
+import crypto from "crypto";
+import { resolveAddressCached } from "./gazetteer.js";
+
+export const DEID_PROFILES = {
+    llm: { pseudonymiseIds: true, shiftDates: true, address: "drop" },
+    research: { pseudonymiseIds: true, shiftDates: true, address: "district" },
+    debug: { pseudonymiseIds: false, shiftDates: false, address: "drop" },
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_MAX_SHIFT_DAYS = 180;
+const REDACTED = "[REDACTED]";
+
+const IDENTIFIER_COLUMN = /(^|_)(NAME|PHONE|MOBILE|EMAIL|AADHAAR|ABHA|SSN|MRN)(_|$)|CONTACT_(NUMBER|NO)|NATIONAL_ID|^(ADDRESS|STREET|LANDMARK|PIN_?CODE|POSTAL_CODE|ZIP)/;
+const ID_COLUMN = /(^|_)ID$/;
+const DATE_COLUMN = /(^|_)(DATE|DOB)$|^DATE_|_AT$|_TIMESTAMP$/;
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// MOTHER_ID shares the PATIENT_ID pseudonym, so babies still join to mothers
+const ID_PREFIXES = { PATIENT_ID: "P", MOTHER_ID: "P", VISIT_ID: "V", DELIVERY_ID: "D", BABY_ID: "B" };
+
+const columnList = (value) => String(value || "").split(",").map((c) => c.trim().toUpperCase()).filter(Boolean);
+
+let fallbackSecret = null;
+
+function deidSecret(env) {
+    if (env.DEID_SECRET) return env.DEID_SECRET;
+    if (!fallbackSecret) {
+        fallbackSecret = crypto.randomBytes(32).toString("hex");
+        console.warn("⚠️ DEID_SECRET is not set - pseudonyms and date shifts will change on restart");
+    }
+    return fallbackSecret;
+}
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// profile: a DEID_PROFILES key -> { record(row, context?), records(rows, patientOf?), bundle({ patient, visits, ... }) }
+export function createDeidentifier(profile = "llm", env = process.env) {
+    const options = DEID_PROFILES[profile];
+    if (!options) {
+        throw Object.assign(new Error(`Unknown de-identification profile "${profile}"`), { code: "INVALID_DEID_PROFILE" });
+    }
+    const secret = deidSecret(env);
+    const maxShiftDays = Number(env.DEID_MAX_SHIFT_DAYS) > 0 ? Math.round(Number(env.DEID_MAX_SHIFT_DAYS)) : DEFAULT_MAX_SHIFT_DAYS;
+    const extraDrop = new Set(columnList(env.DEID_DROP_COLUMNS));
+    const keep = new Set(columnList(env.DEID_KEEP_COLUMNS));
+
+    const keyed = (text) => crypto.createHmac("sha256", secret).update(text).digest();
+
+    const pseudonym = (column, value) => {
+        const prefix = ID_PREFIXES[column] || column.replace(/_ID$/, "").slice(0, 3);
+        const entity = prefix === "P" ? "PATIENT" : column;
+        return `${prefix}-${keyed(`${entity}:${value}`).toString("hex").slice(0, 12)}`;
+    };
+
+    // Whole days in [-maxShiftDays, maxShiftDays], never 0
+    const shiftDays = (patientId) => {
+        const days = (keyed(`shift:${patientId ?? ""}`).readUInt32BE(0) % (2 * maxShiftDays)) - maxShiftDays;
+        return days >= 0 ? days + 1 : days;
+    };
+
+    const shiftDate = (value, days) => {
+        const time = value instanceof Date ? value.getTime() : new Date(value).getTime();
+        if (Number.isNaN(time)) return null;
+        const shifted = new Date(time + days * DAY_MS);
+        return typeof value === "string" && DATE_ONLY.test(value) ? shifted.toISOString().slice(0, 10) : shifted.toISOString();
+    };
+
+    // Name parts and phone numbers of the patient, to redact from free text
+    const scrubPatterns = (patient) => {
+        if (!patient) return [];
+        const words = Object.entries(patient)
+            .filter(([column, value]) => /NAME/.test(column) && typeof value === "string")
+            .flatMap(([, value]) => value.split(/\s+/))
+            .filter((word) => word.length >= 2)
+            .map((word) => new RegExp(`\\b${escapeRegExp(word)}\\b`, "gi"));
+        const phones = Object.entries(patient)
+            .filter(([column, value]) => /PHONE|MOBILE|CONTACT_(NUMBER|NO)/.test(column) && value)
+            .map(([, value]) => String(value).replace(/\D/g, ""))
+            .filter((digits) => digits.length >= 6)
+            .map((digits) => new RegExp(digits.slice(-10).split("").join("[\\s-]*"), "g"));
+        return [...words, ...phones];
+    };
+
+    const scrub = (text, patterns) => patterns.reduce((result, pattern) => result.replace(pattern, REDACTED), text);
+
+    // context: { patient } - the mother's patient row, for text scrubbing
+    function record(row, { patient = null } = {}) {
+        if (!row || typeof row !== "object") return row;
+        // Shifted per mother, so a baby's BIRTH_DATE moves with her DELIVERY_DATE
+        const patientId = row.PATIENT_ID ?? row.MOTHER_ID ?? patient?.PATIENT_ID;
+        const days = options.shiftDates ? shiftDays(patientId) : 0;
+        const patterns = scrubPatterns(patient || row);
+        const out = {};
+
+        Object.entries(row).forEach(([column, value]) => {
+            const name = column.toUpperCase();
+            if (keep.has(name)) {
+                out[column] = value;
+                return;
+            }
+            if (name === "ADDRESS" && options.address === "district") {
+                out.AREA_DISTRICT = resolveAddressCached(value).district?.code ?? null;
+                return;
+            }
+            if (extraDrop.has(name) || IDENTIFIER_COLUMN.test(name)) return;
+
+            if (ID_COLUMN.test(name) && options.pseudonymiseIds) {
+                out[column] = value === null || value === undefined || value === "" ? value : pseudonym(name, value);
+            } else if (DATE_COLUMN.test(name) && value !== null && value !== undefined && value !== "") {
+                out[column] = options.shiftDates ? shiftDate(value, days) : value;
+            } else if (typeof value === "string" && patterns.length > 0) {
+                out[column] = scrub(value, patterns);
+            } else {
+                out[column] = value;
+            }
+        });
+        return out;
+    }
+
+    // patientOf(row) -> the mother's patient row, so visit / delivery text is scrubbed with her name
+    function records(rows, patientOf = () => null) {
+        return (rows || []).map((row) => record(row, { patient: patientOf(row) }));
+    }
+
+    // The { patient, visits, deliveries, babies } shape the AI routes receive
+    function bundle({ patient = {}, visits = [], deliveries = [], babies = [], ...rest } = {}) {
+        const context = { patient };
+        const each = (rows) => (Array.isArray(rows) ? rows.map((row) => record(row, context)) : rows);
+        return {
+            ...rest,
+            patient: record(patient),
+            visits: each(visits),
+            deliveries: each(deliveries),
+            babies: each(babies),
+        };
+    }
+
+    return { profile, record, records, bundle };
+}
@@ -0,0 +1,97 @@
+// earlyWarning.js
+//
+// Modified obstetric early-warning score (MEOWS-style) for a single visit.
+// Each parameter is checked against yellow / red trigger bands:
+//   - one red trigger, or two or more yellow triggers  -> "red"  (urgent review)
+//   - a single yellow trigger                          -> "yellow" (increase monitoring)
+// The numeric score is 1 per yellow and 3 per red trigger.
+//
+// Values are scored after the visitValidation.js clean-up (Hb in g/L converted
+// to g/dL, "BP 165/112 mmHg" read as 165/112, implausible values dropped), so
+// a unit or format slip cannot hide a red trigger.
+
+import { findMention, parseBloodPressureReading } from "./clinicalUtils.js";
+import { cleanVisitValues } from "./visitValidation.js";
+
+export const TRIGGER_BANDS = {
+    systolic: {
+        red: (v) => v >= 160 || v < 90,
+        yellow: (v) => (v >= 140 && v < 160) || (v >= 90 && v < 100),
+        describe: "red >= 160 or < 90 mmHg, yellow 140-159 or 90-99 mmHg",
+    },
+    diastolic: {
+        red: (v) => v >= 110,
+        yellow: (v) => v >= 90 && v < 110,
+        describe: "red >= 110 mmHg, yellow 90-109 mmHg",
+    },
+    fetalHeartRate: {
+        red: (v) => v < 100 || v > 180,
+        yellow: (v) => (v >= 100 && v < 110) || (v > 160 && v <= 180),
+        describe: "red < 100 or > 180 bpm, yellow 100-109 or 161-180 bpm",
+    },
+    hemoglobin: {
+        red: (v) => v < 7,
+        yellow: (v) => v >= 7 && v < 9,
+        describe: "red < 7 g/dL, yellow 7-8.9 g/dL",
+    },
+};
+
+const RED_COMPLICATIONS = [
+    "eclampsia", "seizure", "seizures", "convulsion", "convulsions", "fits", "unconscious",
+    "heavy bleeding", "haemorrhage", "hemorrhage", "aph", "pph", "abruption", "cord prolapse",
+];
+const YELLOW_COMPLICATIONS = [
+    "preeclampsia", "severe headache", "headache", "blurred vision", "visual disturbance", "epigastric pain",
+    "abdominal pain", "bleeding", "spotting", "reduced fetal movement", "reduced fetal movements",
+    "decreased fetal movement", "decreased fetal movements", "leaking", "rupture of membranes", "prom",
+    "fever", "breathlessness", "shortness of breath",
+];
+
+const LEVEL_POINTS = { yellow: 1, red: 3 };
+
+function checkValue(parameter, value, triggers) {
+    if (value === null || value === undefined || value === "" || Number.isNaN(Number(value))) return;
+    const number = Number(value);
+    const bands = TRIGGER_BANDS[parameter];
+    const level = bands.red(number) ? "red" : bands.yellow(number) ? "yellow" : null;
+    if (level) triggers.push({ parameter, value: number, level, rule: bands.describe });
+}
+
+function checkComplications(text, triggers) {
+    if (!text) return;
+    // "pre-eclampsia" must not read as "eclampsia"
+    const normalized = String(text).replace(/pre[-\s]?eclampsia/gi, "preeclampsia");
+
+    const red = findMention(normalized, RED_COMPLICATIONS);
+    if (red) {
+        triggers.push({ parameter: "complications", value: red, level: "red", rule: "red-flag symptom recorded" });
+        return;
+    }
+    const yellow = findMention(normalized, YELLOW_COMPLICATIONS);
+    if (yellow) {
+        triggers.push({ parameter: "complications", value: yellow, level: "yellow", rule: "warning symptom recorded" });
+    }
+}
+
+export function scoreVisit(rawVisit) {
+    const triggers = [];
+    const { cleaned: visit } = cleanVisitValues(rawVisit);
+    const bp = parseBloodPressureReading(visit.BLOOD_PRESSURE);
+
+    if (bp) {
+        checkValue("systolic", bp.systolic, triggers);
+        checkValue("diastolic", bp.diastolic, triggers);
+    }
+    checkValue("fetalHeartRate", visit.FETAL_HEART_RATE, triggers);
+    checkValue("hemoglobin", visit.HEMOGLOBIN_LEVEL, triggers);
+    checkComplications(visit.COMPLICATIONS, triggers);
+
+    const reds = triggers.filter((t) => t.level === "red").length;
+    const yellows = triggers.filter((t) => t.level === "yellow").length;
+
+    return {
+        score: triggers.reduce((total, t) => total + LEVEL_POINTS[t.level], 0),
+        level: reds > 0 || yellows >= 2 ? "red" : yellows === 1 ? "yellow" : "none",
+        triggers,
+    };
+}
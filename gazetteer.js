@@ -0,0 +1,200 @@
+// gazetteer.js
+//
+// Resolves free-text ADDRESS values to a place hierarchy
+//   district -> block (taluka / mandal / zone) -> village or ward
+// using a locally bundled gazetteer (data/gazetteer/, or GAZETTEER_PATH).
+// Each place has a code, a name, spelling variants ("aliases") and a
+// centroid; a GeoJSON geometry is optional.
+//
+// Matching works on normalised text (lower case, no punctuation, common
+// abbreviations expanded, PIN codes and house numbers dropped). A name is
+// matched as a whole phrase, or with a small edit distance for longer names,
+// so "F.C. Rd, Poona" and "77 FC Road, Pune" land on the same ward. The
+// district is matched first and narrows the search for blocks and villages;
+// without a district, a village or block name that is unique in the
+// gazetteer implies its district.
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { editDistance } from "./patientSearch.js";
+
+export const AREA_LEVELS = ["district", "block", "village"];
+
+export const DEFAULT_GAZETTEER_PATH = path.join(
+    path.dirname(fileURLToPath(import.meta.url)), "data", "gazetteer", "india-sample.json"
+);
+
+const ABBREVIATIONS = [
+    [/\brd\b/g, "road"],
+    [/\bst\b/g, "street"],
+    [/\bngr\b/g, "nagar"],
+    [/\bmarg\b/g, "road"],
+    [/\b(distt|dist)\b/g, "district"],
+    [/\b(vill|vlg)\b/g, "village"],
+];
+
+// Words that never identify a place on their own
+const NOISE = /\b(village|district|taluka|taluk|tehsil|mandal|block|ward|po|ps|near|opp|house|flat|no|india)\b/g;
+
+export function normaliseAddressText(value) {
+    let text = String(value ?? "")
+        .normalize("NFD")
+        .replace(/[\u0300-\u036f]/g, "")
+        .toLowerCase()
+        .replace(/\./g, "")
+        .replace(/[^a-z0-9]+/g, " ");
+    ABBREVIATIONS.forEach(([pattern, replacement]) => {
+        text = text.replace(pattern, replacement);
+    });
+    return text
+        .replace(/\b\d{6}\b/g, " ") // PIN code
+        .replace(/\b\d+[a-z]?\b/g, " ") // house / plot numbers
+        .replace(NOISE, " ")
+        .replace(/\s+/g, " ")
+        .trim();
+}
+
+// =======================
+// 📚 Loading
+// =======================
+
+function toPlace(raw, level, parent) {
+    const phrases = [...new Set([raw.name, ...(raw.aliases || [])].map(normaliseAddressText).filter(Boolean))];
+    return {
+        code: raw.code,
+        name: raw.name,
+        level,
+        type: raw.type || level,
+        state: raw.state ?? parent?.state ?? null,
+        districtCode: level === "district" ? raw.code : parent.districtCode,
+        blockCode: level === "village" ? parent.code : level === "block" ? raw.code : null,
+        centroid: raw.centroid || null,
+        geometry: raw.geometry || null,
+        phrases,
+    };
+}
+
+// gazetteer file -> { version, places: Map code -> place, districts, blocks, villages }
+export function loadGazetteer(file = process.env.GAZETTEER_PATH || DEFAULT_GAZETTEER_PATH) {
+    const raw = JSON.parse(fs.readFileSync(file, "utf8"));
+    const districts = [];
+    const blocks = [];
+    const villages = [];
+
+    (raw.districts || []).forEach((d) => {
+        const district = toPlace(d, "district", null);
+        districts.push(district);
+        (d.blocks || []).forEach((b) => {
+            const block = toPlace(b, "block", district);
+            blocks.push(block);
+            (b.villages || []).forEach((v) => villages.push(toPlace(v, "village", block)));
+        });
+    });
+
+    const places = new Map([...districts, ...blocks, ...villages].map((place) => [place.code, place]));
+    console.log(`🗺️ Gazetteer ${raw.version || ""} loaded: ${districts.length} districts, ${blocks.length} blocks, ${villages.length} villages/wards`);
+    return { version: raw.version || null, file, places, districts, blocks, villages };
+}
+
+let gazetteer = null;
+
+export function getGazetteer() {
+    if (!gazetteer) gazetteer = loadGazetteer();
+    return gazetteer;
+}
+
+// =======================
+// 🔍 Matching
+// =======================
+
+const allowedEdits = (length) => (length >= 9 ? 2 : length >= 5 ? 1 : 0);
+
+// Best match of one phrase in the address words: exact whole-phrase match,
+// or a window of the same number of words within the allowed edit distance
+function matchPhrase(words, phrase) {
+    const target = phrase.split(" ");
+    if (` ${words.join(" ")} `.includes(` ${phrase} `)) return { score: 2 + target.length, confidence: "exact" };
+    const maxEdits = allowedEdits(phrase.length);
+    if (maxEdits === 0) return null;
+    for (let i = 0; i + target.length <= words.length; i++) {
+        const window = words.slice(i, i + target.length).join(" ");
+        if (editDistance(window, phrase, maxEdits) <= maxEdits) return { score: 1 + target.length, confidence: "fuzzy" };
+    }
+    return null;
+}
+
+// Places whose name or an alias appears in the address, best first
+function findPlaces(words, candidates) {
+    return candidates
+        .map((place) => {
+            const best = place.phrases
+                .map((phrase) => matchPhrase(words, phrase))
+                .filter(Boolean)
+                .sort((a, b) => b.score - a.score)[0];
+            return best ? { place, ...best } : null;
+        })
+        .filter(Boolean)
+        .sort((a, b) => b.score - a.score);
+}
+
+// The single best match, or null when the best score is shared (ambiguous)
+function uniqueBest(matches) {
+    if (matches.length === 0) return null;
+    if (matches.length > 1 && matches[1].score === matches[0].score) return null;
+    return matches[0];
+}
+
+// "MG Road, Pune City, Pune" for a village, "Pune City, Pune" for a block, ...
+export function placeLabel(code, g = getGazetteer()) {
+    const place = g.places.get(code);
+    if (!place) return null;
+    const chain = [place, g.places.get(place.blockCode), g.places.get(place.districtCode)];
+    return chain.filter((p, i) => p && chain.indexOf(p) === i).map((p) => p.name).join(", ");
+}
+
+const summary = (place) => (place ? { code: place.code, name: place.name } : null);
+
+// raw ADDRESS -> { district, block, village, code, level, label, confidence }
+// (code / level are those of the most specific place found; all null when nothing matched)
+export function resolveAddress(address, g = getGazetteer()) {
+    const words = normaliseAddressText(address).split(" ").filter(Boolean);
+    let district = uniqueBest(findPlaces(words, g.districts));
+    const inDistrict = (places) => (district ? places.filter((p) => p.districtCode === district.place.code) : places);
+
+    const village = uniqueBest(findPlaces(words, inDistrict(g.villages)));
+    let block = village
+        ? { place: g.places.get(village.place.blockCode), confidence: village.confidence }
+        : uniqueBest(findPlaces(words, inDistrict(g.blocks)));
+    if (!district && (village || block)) {
+        district = { place: g.places.get((village || block).place.districtCode), confidence: "inferred" };
+    }
+
+    const deepest = village || block || district;
+    const confidences = [district, block, village].filter(Boolean).map((m) => m.confidence);
+    return {
+        district: summary(district?.place),
+        block: summary(block?.place),
+        village: summary(village?.place),
+        code: deepest?.place.code ?? null,
+        level: deepest?.place.level ?? null,
+        label: deepest ? placeLabel(deepest.place.code, g) : null,
+        confidence: confidences.length === 0 ? null : confidences.includes("fuzzy") ? "fuzzy" : confidences.includes("inferred") ? "inferred" : "exact",
+    };
+}
+
+const resolved = new Map();
+
+// Memoised resolveAddress for the cache - the same raw strings recur on every refresh.
+// Only for ADDRESS values from loaded records: ad-hoc input would grow the memo without bound.
+export function resolveAddressCached(address) {
+    const key = String(address ?? "").trim();
+    if (!resolved.has(key)) resolved.set(key, resolveAddress(key));
+    return resolved.get(key);
+}
+
+// Codes of the place an address resolves to and all of its ancestors
+export function areaCodesOf(address) {
+    const area = resolveAddressCached(address);
+    return [area.district?.code, area.block?.code, area.village?.code].filter(Boolean);
+}
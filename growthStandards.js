@@ -0,0 +1,219 @@
+// growthStandards.js
+//
+// Locally bundled reference standards for centile charts and z-scores.
+// Every reference returns { median, sd } for a gestational week; centiles
+// are median + z * sd.
+//
+//  - fundal:     INTERGROWTH-21st symphysis-fundal height standard (16-40 weeks),
+//                Papageorghiou et al., BMJ 2016;355:i5662
+//  - weightGain: gestational weight gain by pre-pregnancy BMI category. Shaped
+//                on the IOM 2009 recommendations: ~1.25 kg in the first
+//                trimester, linear afterwards, with the recommended total gain
+//                range at 40 weeks treated as the 10th-90th centile.
+//  - hemoglobin: pregnancy haemoglobin curve (g/dL) with the mid-pregnancy
+//                dip and a constant SD; not taken from a published standard.
+//  - systolic / diastolic: the clinic reference previously hard-coded in
+//                BMIAverageCalculator, by BMI category.
+//
+// Only the fundal curve is a published standard. The others are marked
+// `provisional` (see standardsInfo) so API consumers can label them until
+// a cited reference is bundled.
+
+import { normalCdf } from "./stats.js";
+
+export const STANDARD_WEEKS = [10, 12, 14, 16, 18, 20, 22, 24, 26, 28, 30, 32, 34, 36, 38, 40];
+
+export const CENTILES = [
+    { key: "P3", centile: 3, z: -1.8808 },
+    { key: "P10", centile: 10, z: -1.2816 },
+    { key: "P50", centile: 50, z: 0 },
+    { key: "P90", centile: 90, z: 1.2816 },
+    { key: "P97", centile: 97, z: 1.8808 },
+];
+
+export const BMI_CATEGORIES = ["Underweight", "Normal", "Overweight", "Obese"];
+
+// IOM 2009 total gain ranges (kg) and a typical pre-pregnancy weight used
+// when the patient has no early weight on record
+const WEIGHT_GAIN_BY_BMI = {
+    Underweight: { termLow: 12.5, termHigh: 18, typicalPrePregnancyWeight: 48 },
+    Normal: { termLow: 11.5, termHigh: 16, typicalPrePregnancyWeight: 54 },
+    Overweight: { termLow: 7, termHigh: 11.5, typicalPrePregnancyWeight: 64 },
+    Obese: { termLow: 5, termHigh: 9, typicalPrePregnancyWeight: 74 },
+};
+const FIRST_TRIMESTER_GAIN = 1.25;
+
+const HEMOGLOBIN_KNOTS = [
+    [10, 12.5], [14, 12.2], [20, 11.8], [26, 11.6], [30, 11.6], [34, 11.8], [40, 12.0],
+];
+const HEMOGLOBIN_SD = 0.9;
+
+const BLOOD_PRESSURE_BY_BMI = {
+    Underweight: { systolic: 110, diastolic: 70 },
+    Normal: { systolic: 115, diastolic: 70 },
+    Overweight: { systolic: 120, diastolic: 75 },
+    Obese: { systolic: 125, diastolic: 80 },
+};
+
+// "obese", "OBESE " -> "Obese"; anything unknown -> "Normal"
+export function normalizeBmiStatus(bmiStatus) {
+    const match = BMI_CATEGORIES.find(
+        (category) => category.toLowerCase() === String(bmiStatus || "").trim().toLowerCase()
+    );
+    return match || "Normal";
+}
+
+function interpolate(knots, week) {
+    if (week <= knots[0][0]) return knots[0][1];
+    for (let i = 1; i < knots.length; i++) {
+        const [x1, y1] = knots[i];
+        if (week <= x1) {
+            const [x0, y0] = knots[i - 1];
+            return y0 + ((week - x0) / (x1 - x0)) * (y1 - y0);
+        }
+    }
+    return knots[knots.length - 1][1];
+}
+
+function medianWeightGain(week, category) {
+    const { termLow, termHigh } = WEIGHT_GAIN_BY_BMI[category];
+    const weeklyRate = ((termLow + termHigh) / 2 - FIRST_TRIMESTER_GAIN) / 27;
+    if (week <= 13) return FIRST_TRIMESTER_GAIN * Math.max(0, week) / 13;
+    return FIRST_TRIMESTER_GAIN + weeklyRate * (week - 13);
+}
+
+export const growthStandards = {
+    fundal: {
+        unit: "cm",
+        source: "INTERGROWTH-21st symphysis-fundal height standard (Papageorghiou et al., BMJ 2016)",
+        provisional: false,
+        minWeek: 16,
+        maxWeek: 40,
+        reference(week) {
+            return {
+                median: 5.133374 + 0.1058353119 * week ** 2 - 0.0231295 * week ** 2 * Math.log(week),
+                sd: 0.9922667 + 0.0258087 * week,
+            };
+        },
+    },
+    weightGain: {
+        unit: "kg",
+        source: "Derived from the IOM 2009 total gain ranges; centile spread is an approximation",
+        provisional: true,
+        minWeek: 10,
+        maxWeek: 40,
+        reference(week, category) {
+            const { termLow, termHigh } = WEIGHT_GAIN_BY_BMI[category];
+            const termSd = (termHigh - termLow) / (2 * 1.2816);
+            const median = medianWeightGain(week, category);
+            return { median, sd: Math.max(0.5, termSd * median / medianWeightGain(40, category)) };
+        },
+    },
+    hemoglobin: {
+        unit: "g/dL",
+        source: "Unpublished approximation with a constant SD",
+        provisional: true,
+        minWeek: 10,
+        maxWeek: 40,
+        reference(week) {
+            return { median: interpolate(HEMOGLOBIN_KNOTS, week), sd: HEMOGLOBIN_SD };
+        },
+    },
+    systolic: {
+        unit: "mmHg",
+        source: "Clinic reference by BMI category (unpublished)",
+        provisional: true,
+        minWeek: 10,
+        maxWeek: 40,
+        reference(week, category) {
+            return { median: BLOOD_PRESSURE_BY_BMI[category].systolic + (week - 12), sd: 10 };
+        },
+    },
+    diastolic: {
+        unit: "mmHg",
+        source: "Clinic reference by BMI category (unpublished)",
+        provisional: true,
+        minWeek: 10,
+        maxWeek: 40,
+        reference(week, category) {
+            return { median: BLOOD_PRESSURE_BY_BMI[category].diastolic + (week - 12) / 2, sd: 8 };
+        },
+    },
+};
+
+const round = (value, decimals = 2) => Number(value.toFixed(decimals));
+
+// { metric: { unit, source, provisional } } for the given standards
+export function standardsInfo(metrics = Object.keys(growthStandards)) {
+    return Object.fromEntries(metrics.map((metric) => {
+        const { unit, source, provisional } = growthStandards[metric];
+        return [metric, { unit, source, provisional }];
+    }));
+}
+
+// { median, sd } for a metric at a week, or null outside the standard's range
+export function referenceAt(metric, week, bmiStatus) {
+    const standard = growthStandards[metric];
+    if (!standard) throw new Error(`Unknown growth standard '${metric}'`);
+    if (week == null || week < standard.minWeek || week > standard.maxWeek) return null;
+    return standard.reference(week, normalizeBmiStatus(bmiStatus));
+}
+
+// 3rd/10th/50th/90th/97th centile curve on STANDARD_WEEKS. `offset` shifts
+// the whole curve (used to turn weight gain into absolute weight).
+export function centileCurve(metric, bmiStatus, { offset = 0 } = {}) {
+    return STANDARD_WEEKS
+        .map((week) => {
+            const reference = referenceAt(metric, week, bmiStatus);
+            if (!reference) return null;
+            const row = { GESTATIONAL_AGE_WEEKS: week };
+            CENTILES.forEach(({ key, z }) => {
+                row[key] = round(offset + reference.median + z * reference.sd, 1);
+            });
+            return row;
+        })
+        .filter((row) => row !== null);
+}
+
+export function centileBand(centile) {
+    if (centile < 3) return "<3rd";
+    if (centile < 10) return "3rd-10th";
+    if (centile < 50) return "10th-50th";
+    if (centile <= 90) return "50th-90th";
+    if (centile <= 97) return "90th-97th";
+    return ">97th";
+}
+
+// Where a single measurement sits against the standard
+export function centilePosition(metric, value, week, bmiStatus, { offset = 0 } = {}) {
+    if (value == null || Number.isNaN(Number(value))) return null;
+    const reference = referenceAt(metric, week, bmiStatus);
+    if (!reference) return null;
+
+    const zScore = (Number(value) - offset - reference.median) / reference.sd;
+    const centile = normalCdf(zScore) * 100;
+    return {
+        value: Number(value),
+        median: round(offset + reference.median, 1),
+        zScore: round(zScore),
+        centile: round(centile, 1),
+        band: centileBand(centile),
+    };
+}
+
+// Pre-pregnancy weight: from the earliest weight recorded up to 16 weeks
+// (minus the expected gain so far), else the typical weight for the BMI category
+export function estimatePrePregnancyWeight(visits, bmiStatus) {
+    const category = normalizeBmiStatus(bmiStatus);
+    const early = (visits || [])
+        .filter((v) => v.MATERNAL_WEIGHT && v.GESTATIONAL_AGE_WEEKS && v.GESTATIONAL_AGE_WEEKS <= 16)
+        .sort((a, b) => a.GESTATIONAL_AGE_WEEKS - b.GESTATIONAL_AGE_WEEKS)[0];
+
+    if (early) {
+        return {
+            value: round(Number(early.MATERNAL_WEIGHT) - medianWeightGain(early.GESTATIONAL_AGE_WEEKS, category), 1),
+            source: `visit at ${early.GESTATIONAL_AGE_WEEKS} weeks`,
+        };
+    }
+    return { value: WEIGHT_GAIN_BY_BMI[category].typicalPrePregnancyWeight, source: `typical for ${category} BMI` };
+}
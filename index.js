@@ -4,280 +4,495 @@ dotenv.config();
 
 
 import express from "express";
-import snowflake from "snowflake-sdk";
 import cors from "cors";
 import bodyParser from "body-parser";
 
 
 // ⭐️ Renamed 'aiserver 1.js' to 'aiserver.js'
-import router from "./aiserver.js";
+import aiRouter from "./aiserver.js";
+import { startBacktestJob, getBacktestJob, listBacktestJobs } from "./backtest.js";
+import { scoreVisit } from "./earlyWarning.js";
+import { rebuildAlertFeed, listAlerts, acknowledgeAlert, snoozeAlert } from "./alertFeed.js";
+import { rebuildWorklist, queryWorklist, riskLevelsByPatient } from "./worklist.js";
+import { detectAnomalies } from "./trendAnomalies.js";
+import { validateVisitRecords } from "./visitValidation.js";
+import { rebuildSchedules, getPatientSchedule, listOverdue, scheduleCounts } from "./antenatalSchedule.js";
+import { createDataSource, loadSnapshot } from "./dataSource/index.js";
+import { PatientStore } from "./patientStore.js";
+import { backoffDelay, withTimeout } from "./retry.js";
+import { getGazetteer, placeLabel, resolveAddress, resolveAddressCached } from "./gazetteer.js";
+import { buildAreaMetrics, toGeoJson } from "./areaMetrics.js";
+import { compareCohorts } from "./cohortComparison.js";
+import { buildOutcomeTrends } from "./outcomeTrends.js";
+import { rebuildSearchIndex, searchPatients } from "./patientSearch.js";
+import { appendAuditEntry, auditPhiAccess, auditRoute, loadAuditLog, queryAuditLog, verifyAuditChain } from "./auditLog.js";
+import { createDeidentifier } from "./deidentify.js";
+import { authenticate, corsOptions, createAuthRouter, hasPermission, loadUsers, requirePermission } from "./auth/index.js";
+import { errorHandler, notFoundHandler, sendError } from "./apiErrors.js";
+import { validateRequest } from "./requestSchema.js";
+import * as schemas from "./apiSchemas.js";
+import { apiExplorerPage, buildOpenApiDocument, SWAGGER_UI_ASSETS_DIR } from "./openapi.js";
+import { derivePregnancyStatuses, detectTransitions, recordTransitions, listTransitions, episodeStatus, PREGNANCY_STATUSES } from "./pregnancyStatus.js";
 
 const app = express();
 const port = process.env.PORT || 5000;
 
-app.use(cors());
+// ⭐️ Only the frontends in CORS_ORIGINS, see auth/index.js
+app.use(cors(corsOptions()));
 app.use(bodyParser.json());
 
-// --- Snowflake connection setup ---
-// ⭐️ Make sure your .env file has these new names
-const connection = snowflake.createConnection({
-    account: process.env.SF_ACCOUNT,
-    username: process.env.SF_USER,
-    password: process.env.SF_PASSWORD,
-    warehouse: process.env.SF_WAREHOUSE,
-    database: process.env.SF_DATABASE,
-    schema: process.env.SF_SCHEMA,
-});
-
-// utility to run queries returning Promise<rows>
-const runQuery = async (sql, params = []) => {
-  return new Promise((resolve, reject) => {
-    connection.execute({
-      sqlText: sql,
-      binds: params, // This is crucial - binds the parameters
-      complete: (err, stmt, rows) => {
-        if (err) {
-          reject(err);
-        } else {
-          resolve(rows);
-        }
-      }
-    });
-  });
-};
+// --- Users for /api/auth/login (auth/userStore.js) ---
+loadUsers();
+
+// --- PHI access audit trail (auditLog.js) ---
+loadAuditLog();
 
+// --- Data source (Snowflake or local fixtures, see dataSource/index.js) ---
+const dataSource = createDataSource();
 
-// ====== Unified cache for delivered patients ======
-let unifiedCache = {
-    visits: [],
-    patients: [],
-    deliveries: [],
-    babies: [],
-    loaded: false,
-    loading: false,
-    error: null,
+
+// ====== One cache snapshot for every route ======
+// `cache.main` holds every patient, each with a pregnancy status (ongoing /
+// delivered / loss, see pregnancyStatus.js); `cache.ongoing` is the "ongoing"
+// slice of the same load. Both are replaced together in a single assignment,
+// so a patient is never in both or neither.
+let cache = {
+    version: 0,
+    builtAt: null,
+    main: {
+        visits: [],
+        patients: [],
+        deliveries: [],
+        babies: [],
+        store: PatientStore.empty(),
+        loaded: false,
+        loading: false,
+        error: null,
+    },
+    ongoing: {
+        visits: [],
+        patients: [],
+        store: PatientStore.empty(),
+        loaded: false,
+        loading: false,
+        error: null,
+    },
 };
 
 
-// ====== Unified cache for ongoing patients ======
-let unifiedCacheOngoing = {
-    visits: [],
-    patients: [],
-    loaded: false,
-    loading: false,
-    error: null,
+// ====== Cache refresh ======
+// A refresh builds complete new cache objects (and rebuilds the derived feeds)
+// before swapping them in, so readers keep the previous snapshot until then.
+// With CHANGE_TIMESTAMP_COLUMN set, scheduled refreshes only fetch changed
+// rows; a full reload still runs every CACHE_FULL_REFRESH_HOURS to pick up deletes.
+const REFRESH_INTERVAL_MINUTES = Number(process.env.CACHE_REFRESH_MINUTES ?? 15);
+const FULL_REFRESH_HOURS = Number(process.env.CACHE_FULL_REFRESH_HOURS ?? 24);
+
+let snapshot = null; // last result of loadSnapshot (keeps the delta cursor)
+let refreshInFlight = null;
+let refreshTimer = null;
+
+const refreshStatus = {
+    refreshing: false,
+    lastRefreshAt: null,
+    lastFullRefreshAt: null,
+    lastRefreshType: null,
+    lastDurationMs: null,
+    lastError: null,
+    nextRefreshAt: null,
+    deltas: null,
+    cursor: null,
+    intervalMinutes: REFRESH_INTERVAL_MINUTES,
+    fullRefreshHours: FULL_REFRESH_HOURS,
 };
 
+// Ongoing slice = patients whose status is "ongoing"; visits get an early-warning score
+// (computed on the unit-corrected values, the cached rows stay as loaded)
+function buildOngoingCache(store) {
+    const patients = store.patientsByStatus("ongoing");
+    // ⭐️ Only the current pregnancy - visits of earlier pregnancies stay in the main cache
+    const visits = patients.flatMap((p) => store.episodesOf(p.PATIENT_ID).episodes.at(-1)?.visits ?? []);
+    // ⭐️ Copies, so scores never leak into the main cache rows
+    const scoredVisits = visits.map((v) => ({ ...v, earlyWarning: scoreVisit(v) }));
+    return {
+        visits: scoredVisits,
+        patients,
+        store: new PatientStore({ patients, visits: scoredVisits }, { statuses: store.statuses }),
+        loaded: true,
+        loading: false,
+        error: null,
+    };
+}
+
+function rebuildOngoingFeeds(ongoing) {
+    // ⭐️ Early-warning alert feed
+    const alertCount = rebuildAlertFeed(ongoing.patients, ongoing.visits);
+    console.log(`🚨 ${alertCount} ongoing patients with early-warning triggers`);
+
+    // ⭐️ Precompute the high-risk worklist so /api/worklist stays fast
+    rebuildWorklist(ongoing.patients, ongoing.visits);
+
+    // ⭐️ EDD + antenatal contact schedule per ongoing patient
+    rebuildSchedules(ongoing.patients, ongoing.visits);
+}
+
+async function runRefresh(full) {
+    const firstLoad = !cache.main.loaded;
+    const forceFull = full || !snapshot || !dataSource.supportsDelta ||
+        Date.now() - new Date(refreshStatus.lastFullRefreshAt || 0).getTime() >= FULL_REFRESH_HOURS * 3600 * 1000;
 
-// Load full hospital data
-async function loadAllData() {
-    if (unifiedCache.loading) return;
-    unifiedCache.loading = true;
-    console.log("🔄 Loading hospital data into cache...");
+    refreshStatus.refreshing = true;
+    if (firstLoad) {
+        cache.main.loading = true;
+        cache.ongoing.loading = true;
+    }
+    console.log(`🔄 ${forceFull ? "Full" : "Delta"} cache refresh started...`);
 
+    const startTime = Date.now();
     try {
-        const startTime = Date.now();
-        // ⭐️ Make sure these view names match your Snowflake
-        const [visits, patients, deliveries, babies] = await Promise.all([
-            runQuery("SELECT * FROM HEAL.HOSPITAL_TABLE.unified_visits_table"),
-            runQuery("SELECT * FROM HEAL.HOSPITAL_TABLE.unified_patients_table"),
-            runQuery("SELECT * FROM HEAL.HOSPITAL_TABLE.UNIFIED_DELIVERY_TABLE"),
-            runQuery("SELECT * FROM HEAL.HOSPITAL_TABLE.unified_baby_table"),
-        ]);
-
-        unifiedCache.visits = visits || [];
-        unifiedCache.patients = patients || [];
-        unifiedCache.deliveries = deliveries || [];
-        unifiedCache.babies = babies || [];
-        unifiedCache.loaded = true;
+        const next = await loadSnapshot(dataSource, snapshot, { full: forceFull });
+        const statuses = derivePregnancyStatuses(next.data);
+        // ⭐️ Indexed lookups by PATIENT_ID / ADDRESS / SOURCE_SCHEMA / BMI_STATUS / VISIT_DATE / status
+        const store = new PatientStore(next.data, { statuses });
+        const ongoing = buildOngoingCache(store);
+        const events = detectTransitions(cache.main.store.statuses, statuses);
+
+        // ⭐️ Everything below is synchronous - no request sees a half-swapped state
+        rebuildOngoingFeeds(ongoing);
+        rebuildSearchIndex(store);
+        snapshot = next;
+        cache = {
+            version: cache.version + 1,
+            builtAt: new Date().toISOString(),
+            main: { ...next.data, store, loaded: true, loading: false, error: null },
+            ongoing,
+        };
+        if (events.length > 0) {
+            recordTransitions(events);
+            console.log(`🔁 ${events.length} pregnancy status transitions detected`);
+        }
+
+        const finishedAt = new Date().toISOString();
+        Object.assign(refreshStatus, {
+            lastRefreshAt: finishedAt,
+            lastRefreshType: next.type,
+            lastDurationMs: Date.now() - startTime,
+            lastError: null,
+            deltas: next.deltas,
+            cursor: next.cursor,
+        });
+        if (next.type === "full") refreshStatus.lastFullRefreshAt = finishedAt;
 
         console.log(
-            `✅ Main Cache Loaded: ${unifiedCache.patients.length} patients, ${unifiedCache.deliveries.length} deliveries ${unifiedCache.visits.length} visits`
+            `✅ Cache ${next.type} refresh in ${refreshStatus.lastDurationMs}ms: ${cache.main.patients.length} patients, ${cache.main.deliveries.length} deliveries, ${cache.main.visits.length} visits`
+        );
+        console.log(
+            `📊 Stats: ${cache.ongoing.patients.length} ongoing patients, ${cache.ongoing.visits.length} visits`
         );
     } catch (err) {
-        console.error("❌ Error loading main cache:", err);
-        unifiedCache.error = err.message;
+        // Keep serving the previous snapshot
+        console.error("❌ Error refreshing cache:", err);
+        refreshStatus.lastError = err.message;
+        cache.main.error = err.message;
+        cache.ongoing.error = err.message;
+        throw err;
     } finally {
-        unifiedCache.loading = false;
+        refreshStatus.refreshing = false;
+        cache.main.loading = false;
+        cache.ongoing.loading = false;
     }
+    return refreshStatus;
 }
 
+// Concurrent callers share the refresh that is already running
+function refreshCaches({ full = false } = {}) {
+    if (!refreshInFlight) {
+        refreshInFlight = runRefresh(full).finally(() => {
+            refreshInFlight = null;
+        });
+    }
+    return refreshInFlight;
+}
 
+function scheduleRefresh() {
+    if (!(REFRESH_INTERVAL_MINUTES > 0)) return;
+    clearTimeout(refreshTimer);
+    const delay = REFRESH_INTERVAL_MINUTES * 60 * 1000;
+    refreshStatus.nextRefreshAt = new Date(Date.now() + delay).toISOString();
+    refreshTimer = setTimeout(() => {
+        refreshCaches()
+            .catch(() => { }) // already logged, retried on the next tick
+            .finally(scheduleRefresh);
+    }, delay);
+    refreshTimer.unref?.();
+}
 
-// Load ongoing pregnancy data
-async function loadOngoingData() {
-    if (unifiedCacheOngoing.loading) return;
-    unifiedCacheOngoing.loading = true;
-    console.log("🔄 Loading ongoing patients data into cache...");
+// Connect, then load both caches and keep them fresh. A failed connect or
+// first load is retried with backoff until it succeeds.
+const connectionState = {
+    connected: false,
+    attempts: 0,
+    lastError: null,
+    nextAttemptAt: null,
+};
 
+async function startDataSource() {
+    connectionState.attempts++;
     try {
-        const startTime = Date.now();
-        // ⭐️ Make sure these table names match your Snowflake
-        const [visits, patients] = await Promise.all([
-                runQuery(`
-                    SELECT t1.*
-                    FROM UNIFIED_VISITS_TABLE AS t1
-                    LEFT JOIN UNIFIED_DELIVERY_TABLE AS t2
-                    ON t1.patient_id = t2.patient_id
-                    WHERE t2.patient_id IS NULL
-                `),
-
-                runQuery(`
-                    SELECT t1.*
-                    FROM UNIFIED_PATIENTS_TABLE AS t1
-                    LEFT JOIN UNIFIED_DELIVERY_TABLE AS t2
-                    ON t1.patient_id = t2.patient_id
-                    WHERE t2.patient_id IS NULL
-                `)
-                ]);
-
-        unifiedCacheOngoing.visits = visits || [];
-        unifiedCacheOngoing.patients = patients || [];
-        unifiedCacheOngoing.loaded = true;
-
-        const loadTime = Date.now() - startTime;
-        console.log(`✅ Ongoing Cache Loaded in ${loadTime}ms`);
-        console.log(
-            `📊 Stats: ${unifiedCacheOngoing.patients.length} ongoing patients, ${unifiedCacheOngoing.visits.length} visits`
-        );
+        await dataSource.connect();
+        connectionState.connected = true;
+        connectionState.lastError = null;
+        connectionState.nextAttemptAt = null;
+        console.log(`✅ Connected to data source: ${dataSource.name}`);
+
+        await refreshCaches({ full: true });
+        scheduleRefresh();
     } catch (err) {
-        console.error("❌ Error loading ongoing cache:", err);
-        unifiedCacheOngoing.error = err.message;
-    } finally {
-        unifiedCacheOngoing.loading = false;
+        const delayMs = backoffDelay(connectionState.attempts, { baseDelayMs: 5000, maxDelayMs: 5 * 60 * 1000 });
+        connectionState.lastError = err.message;
+        connectionState.nextAttemptAt = new Date(Date.now() + delayMs).toISOString();
+        console.error(
+            `❌ Data source (${dataSource.name}) not ready: ${err.message} - retrying in ${Math.round(delayMs / 1000)}s`
+        );
+        setTimeout(startDataSource, delayMs).unref?.();
     }
 }
 
-// Connect once, then load both caches
-connection.connect(async (err, conn) => {
-    if (err) {
-        console.error("❌ Unable to connect to Snowflake:", err.message);
-        return;
-    }
+startDataSource();
+
 
-    console.log("✅ Connected to Snowflake!");
-    try {
-        console.log("Connection ID:", conn.getId());
-    } catch { }
 
-    // Load both caches
-    await loadAllData();
-    await loadOngoingData();
+
+// ========== API endpoints ==========
+// Every route below is registered on `api`, which is served at /api/v1 and,
+// as a deprecated alias for existing clients, at /api (see the end of this file).
+const API_BASE = "/api/v1";
+const api = express.Router();
+
+// Login / logout / users; every other /api route needs a bearer token
+const authRouter = createAuthRouter();
+api.use("/auth", authRouter);
+
+// OpenAPI document and explorer (public - no patient data), generated on first request
+let openApiDocument = null;
+api.get("/openapi.json", validateRequest(schemas.openApiDocument), (req, res) => {
+    openApiDocument ??= buildOpenApiDocument({
+        basePath: API_BASE,
+        description: `Every path is also served under /api without the version (e.g. /api/worklist). Those aliases are deprecated: they answer with Deprecation and Link headers pointing to ${API_BASE}.`,
+        mounts: [
+            { prefix: "/auth", router: authRouter },
+            { prefix: "/ai", router: aiRouter, guards: [authenticate, ...aiGuards] },
+            { router: api },
+        ],
+    });
+    res.json(openApiDocument);
+});
+api.get("/docs", validateRequest(schemas.apiExplorer), (req, res) => {
+    res.type("html").send(apiExplorerPage({ specUrl: `${req.baseUrl}/openapi.json`, assetsUrl: `${req.baseUrl}/docs/assets` }));
 });
+// Swagger UI files for the explorer, straight from node_modules/swagger-ui-dist
+api.use("/docs/assets", express.static(SWAGGER_UI_ASSETS_DIR, { index: false }));
 
+api.use(authenticate);
 
+// Patients whose data an /api/ai request carries
+const aiRequestPatientIds = (req) => {
+    const { patient, visits, deliveries, babies } = req.body || {};
+    return [patient, ...[visits, deliveries, babies].filter(Array.isArray).flat()]
+        .map((record) => record?.PATIENT_ID);
+};
 
+// expose ai router (clinicians only, every call audited)
+const aiGuards = [auditPhiAccess({ patientIds: aiRequestPatientIds }), requirePermission("ai:generate")];
+api.use("/ai", ...aiGuards, aiRouter);
 
-// ========== API endpoints ==========
+// 503 CACHE_LOADING until the named cache slices ("main", "ongoing") have loaded
+const cacheReady = (...slices) => {
+    const middleware = (req, res, next) => {
+        if (slices.every((slice) => cache[slice].loaded)) return next();
+        sendError(res, "CACHE_LOADING", "Cache is still loading. Please wait...", { loading: true });
+    };
+    middleware.cacheSlices = slices; // for the OpenAPI document
+    return middleware;
+};
 
-// expose ai router
-app.use("/api/ai", router);
 
 
+// =======================
+// 💓 Liveness / Readiness probes
+// =======================
+const READINESS_PING_TIMEOUT_MS = 5000;
+const READINESS_PING_CACHE_MS = 10 * 1000;
+let lastPing = { at: 0, ok: false, error: null, latencyMs: null };
+
+// Liveness: the process is up and serving requests
+app.get("/healthz", (req, res) => {
+    res.json({ status: "ok", uptimeSeconds: Math.round(process.uptime()) });
+});
+
+// Readiness: caches loaded and the data source answers (ping result reused for a few seconds)
+app.get("/readyz", async (req, res) => {
+    if (Date.now() - lastPing.at > READINESS_PING_CACHE_MS) {
+        const startTime = Date.now();
+        try {
+            await withTimeout(dataSource.ping(), READINESS_PING_TIMEOUT_MS, { message: "Data source ping timed out" });
+            lastPing = { at: Date.now(), ok: true, error: null, latencyMs: Date.now() - startTime };
+        } catch (err) {
+            lastPing = { at: Date.now(), ok: false, error: err.message, latencyMs: null };
+        }
+    }
+
+    const checks = {
+        cachesLoaded: cache.main.loaded && cache.ongoing.loaded,
+        dataSourceReachable: lastPing.ok,
+    };
+    const ready = Object.values(checks).every(Boolean);
+
+    res.status(ready ? 200 : 503).json({
+        status: ready ? "ready" : "not ready",
+        checks,
+        dataSource: {
+            type: dataSource.name,
+            connected: connectionState.connected,
+            lastError: lastPing.error || connectionState.lastError,
+            pingLatencyMs: lastPing.latencyMs,
+            checkedAt: new Date(lastPing.at).toISOString(),
+        },
+        snapshotVersion: cache.version,
+        lastRefreshAt: refreshStatus.lastRefreshAt,
+    });
+});
+
 
 // Cache status
-app.get("/api/cache/status", (req, res) => {
+api.get("/cache/status", requirePermission("debug:read"), validateRequest(schemas.cacheStatus), (req, res) => {
     res.json({
-        loaded: unifiedCache.loaded,
-        loading: unifiedCache.loading,
-        error: unifiedCache.error,
+        loaded: cache.main.loaded,
+        loading: cache.main.loading,
+        error: cache.main.error,
+        dataSource: { ...dataSource.describe(), connection: connectionState },
+        snapshotVersion: cache.version,
+        snapshotBuiltAt: cache.builtAt,
+        pregnancyStatus: Object.fromEntries(
+            PREGNANCY_STATUSES.map((status) => [status, cache.main.store.patientsByStatus(status).length])
+        ),
         stats: {
-            patients: unifiedCache.patients.length,
-            visits: unifiedCache.visits.length,
-            deliveries: unifiedCache.deliveries.length,
-            babies: unifiedCache.babies.length,
+            patients: cache.main.patients.length,
+            visits: cache.main.visits.length,
+            deliveries: cache.main.deliveries.length,
+            babies: cache.main.babies.length,
         },
+        ongoing: {
+            loaded: cache.ongoing.loaded,
+            patients: cache.ongoing.patients.length,
+            visits: cache.ongoing.visits.length,
+        },
+        // ⭐️ Last refresh time, duration and per-table row deltas
+        refresh: refreshStatus,
     });
 });
 
 // Debug: first 10 patients
-app.get("/api/debug/patients", (req, res) => {
-    if (!unifiedCache.loaded) {
-        return res.status(503).json({ error: "Cache not loaded" });
-    }
-
-    const firstTenPatients = unifiedCache.patients.slice(0, 10).map((p) => ({
-        PATIENT_ID: p.PATIENT_ID,
-        PATIENT_NAME: `${p.FIRST_NAME || ""} ${p.LAST_NAME || ""}`.trim(),
-        SOURCE_SCHEMA: p.SOURCE_SCHEMA,
-    }));
+api.get("/debug/patients", requirePermission("debug:read"), validateRequest(schemas.debugPatients), cacheReady("main"), (req, res) => {
+    // ⭐️ No names or contact details in debug output (deidentify.js "debug" profile)
+    const firstTenPatients = createDeidentifier("debug").records(cache.main.patients.slice(0, 10));
 
     res.json({
         message: "First 10 patients from cache:",
         patients: firstTenPatients,
-        totalPatients: unifiedCache.patients.length,
+        totalPatients: cache.main.patients.length,
     });
 });
 
-// Debug: search patients by name
-app.get("/api/debug/search/:name", (req, res) => {
-    if (!unifiedCache.loaded) {
-        return res.status(503).json({ error: "Cache not loaded" });
-    }
+// =======================
+// 🔎 Patient Search (name / ID / phone / address, with filters)
+// =======================
+api.get("/patients/search", auditPhiAccess({ patientIds: () => [] }), requirePermission("patients:read"), validateRequest(schemas.patientSearch), cacheReady("main"), (req, res) => {
+    // Types, ranges and enums are checked by schemas.patientSearch
+    const { q = "", id, phone, address, status = [], sourceSchema, bmiStatus, sort, order, limit, cursor } = req.query;
+    const range = {
+        ageMin: req.query.ageMin ?? null,
+        ageMax: req.query.ageMax ?? null,
+        gaMin: req.query.gaMin ?? null,
+        gaMax: req.query.gaMax ?? null,
+    };
 
-    const searchName = (req.params.name || "").toLowerCase();
-    const foundPatients = unifiedCache.patients
-        .filter((p) => {
-            const fullName = `${p.FIRST_NAME || ""} ${p.LAST_NAME || ""}`.toLowerCase();
-            return fullName.includes(searchName);
-        })
-        .slice(0, 10)
-        .map((p) => ({
-            PATIENT_ID: p.PATIENT_ID,
-            PATIENT_NAME: `${p.FIRST_NAME || ""} ${p.LAST_NAME || ""}`.trim(),
-            SOURCE_SCHEMA: p.SOURCE_SCHEMA,
-        }));
+    if (sort === "relevance" && !q.trim()) {
+        return sendError(res, "VALIDATION_ERROR", "sort=relevance needs a search term (q)");
+    }
+    if (!q.trim() && [id, phone, address, sourceSchema, bmiStatus].every((v) => !v) && status.length === 0 &&
+        Object.values(range).every((value) => value === null)) {
+        return sendError(res, "VALIDATION_ERROR", "Provide a search term (q) or at least one filter");
+    }
+    if (phone && phone.replace(/\D/g, "").length < 4) {
+        return sendError(res, "VALIDATION_ERROR", "phone must contain at least 4 digits");
+    }
 
-    res.json({
-        search: searchName,
-        found: foundPatients.length,
-        patients: foundPatients,
-    });
+    try {
+        const result = searchPatients({
+            q, id: id ?? null, phone: phone ?? null, address: address ?? null, statuses: status,
+            sourceSchema: sourceSchema ?? null, bmiStatus: bmiStatus ?? null, ...range,
+            sort, order, limit, cursor: cursor || null,
+        });
+        // ⭐️ Audit the patients the search revealed, and what was searched for
+        res.locals.auditPatientIds = result.items.map((item) => item.PATIENT_ID);
+        res.locals.auditDetails = { query: req.query };
+        res.json({ success: true, query: q, count: result.items.length, snapshotVersion: cache.version, ...result });
+    } catch (err) {
+        if (err.code === "INVALID_CURSOR") {
+            return sendError(res, "VALIDATION_ERROR", err.message);
+        }
+        throw err;
+    }
 });
 
-// Manual reload
-app.get("/api/cache/reload", async (req, res) => {
+// Manual reload of both caches (?mode=delta for changed rows only)
+api.get("/cache/reload", requirePermission("cache:admin"), validateRequest(schemas.cacheReload), async (req, res) => {
     try {
-        await loadAllData();
-        res.json({ message: "Cache reload triggered", status: "success" });
+        const status = await refreshCaches({ full: req.query.mode !== "delta" });
+        res.json({ message: "Cache reload triggered", status: "success", refresh: status });
     } catch (err) {
-        res.status(500).json({ message: "Reload failed", error: err?.message || String(err) });
+        // ⭐️ Details stay in the server log (runRefresh logs them, /api/cache/status shows lastError)
+        sendError(res, "UPSTREAM_ERROR", "Cache reload failed");
     }
 });
 
 // Patient details from cache (for historical "Patient Details" page)
-app.get("/api/patientDetails/:id", (req, res) => {
-    const patientId = Number(req.params.id);
-    if (Number.isNaN(patientId)) {
-        return res.status(400).json({ error: "Invalid patient id" });
-    }
-
-    if (!unifiedCache.loaded) {
-        return res.status(503).json({
-            error: "Cache is still loading. Please try again in a few seconds.",
-        });
-    }
+api.get("/patientDetails/:id", auditPhiAccess(), requirePermission("patients:read"), validateRequest(schemas.patientDetails), cacheReady("main"), (req, res) => {
+    const patientId = req.params.id;
 
     console.log(`🔍 Fetching patient ${patientId} from cache...`);
 
-    const patient = unifiedCache.patients.find((p) => Number(p.PATIENT_ID) === patientId);
+    const { store } = cache.main;
+    const patient = store.getPatient(patientId);
 
     if (!patient) {
-        return res.status(404).json({ error: "Patient not found" });
+        return sendError(res, "NOT_FOUND", "Patient not found");
     }
 
-    const visits = unifiedCache.visits.filter((v) => Number(v.PATIENT_ID) === patientId);
-    const deliveries = unifiedCache.deliveries.filter((d) => Number(d.PATIENT_ID) === patientId);
+    const visits = store.visitsOf(patientId);
+    const deliveries = store.deliveriesOf(patientId);
 
-    // ⭐️ This logic seems to find babies by delivery ID.
-    const deliveryIds = deliveries.map((d) => d.PATIENT_ID).filter((id) => id != null);
-    const babies = unifiedCache.babies.filter((b) => deliveryIds.includes(b.PATIENT_ID));
+    // ⭐️ Babies are linked to a delivery by DELIVERY_ID or birth date (see pregnancyEpisodes.js)
+    const { episodes, unlinkedBabies } = store.episodesOf(patientId);
+    const babies = episodes.flatMap((e) => e.babies);
 
     const result = {
         patient: patient,
         visits,
         deliveries,
         babies,
+        babyLinks: episodes.flatMap((e) => e.babyLinks.map((link) => ({ ...link, DELIVERY_ID: e.deliveryId }))),
+        unlinkedBabies,
+        pregnancyStatus: store.statusOf(patientId),
+        // ⭐️ Per pregnancy, on the cleaned visits (units corrected, duplicates dropped) like
+        // PredictionEngine - visits of different pregnancies are never compared with each other
+        anomalies: episodes.map((e) => ({
+            episode: e.episode,
+            current: e.current,
+            deliveryDate: e.deliveryDate,
+            anomalies: detectAnomalies(validateVisitRecords(e.visits).visits),
+        })),
         source: "cache",
     };
 
@@ -286,38 +501,74 @@ app.get("/api/patientDetails/:id", (req, res) => {
 });
 
 // Get patients list (for historical "Patient Details" page)
-app.get("/api/patients", (req, res) => {
-    if (!unifiedCache.loaded) {
-        return res.status(503).json({
-            error: "Cache is still loading. Please wait...",
-            loading: true,
-        });
-    }
+api.get("/patients", requirePermission("patients:read"), validateRequest(schemas.patientList), cacheReady("main"), (req, res) => {
 
     // This just gets all patients. Your old code filtered by schema, but this seems simpler.
-    let patientList = unifiedCache.patients;
+    let patientList = cache.main.patients;
 
     const formattedPatients = (patientList || []).map((patient) => ({
         PATIENT_ID: patient.PATIENT_ID,
         PATIENT_NAME: `${patient.FIRST_NAME || ""} ${patient.LAST_NAME || ""}`.trim() || "Unknown Name",
+        PREGNANCY_STATUS: cache.main.store.statusOf(patient.PATIENT_ID)?.status ?? null,
     }));
 
     res.json(formattedPatients);
 });
 
+// =======================
+// 👩‍🍼 Pregnancy Episodes (mother-baby dyads) for one patient
+// =======================
+function formatEpisode(episode) {
+    const { status, reason } = episodeStatus(episode);
+    return { ...episode, status, statusReason: reason };
+}
+
+function findPatientOr404(req, res) {
+    const patient = cache.main.store.getPatient(req.params.id);
+    if (!patient) {
+        sendError(res, "NOT_FOUND", "Patient not found");
+        return null;
+    }
+    return patient;
+}
+
+api.get("/patients/:id/pregnancies", auditPhiAccess(), requirePermission("patients:read"), validateRequest(schemas.pregnancies), cacheReady("main"), (req, res) => {
+    const patient = findPatientOr404(req, res);
+    if (!patient) return;
+
+    const { store } = cache.main;
+    const { episodes, unlinkedBabies, unlinkedVisits } = store.episodesOf(patient.PATIENT_ID);
+    res.json({
+        success: true,
+        PATIENT_ID: patient.PATIENT_ID,
+        PATIENT_NAME: `${patient.FIRST_NAME || ""} ${patient.LAST_NAME || ""}`.trim() || "Unknown Name",
+        pregnancyStatus: store.statusOf(patient.PATIENT_ID),
+        count: episodes.length,
+        episodes: episodes.map(formatEpisode),
+        unlinkedBabies,
+        unlinkedVisits,
+    });
+});
+
+api.get("/patients/:id/pregnancies/:episode", auditPhiAccess(), requirePermission("patients:read"), validateRequest(schemas.pregnancyEpisode), cacheReady("main"), (req, res) => {
+    const patient = findPatientOr404(req, res);
+    if (!patient) return;
+
+    const { episodes } = cache.main.store.episodesOf(patient.PATIENT_ID);
+    const episode = episodes.find((e) => e.episode === req.params.episode);
+    if (!episode) {
+        return sendError(res, "NOT_FOUND", `Pregnancy episode '${req.params.episode}' not found (patient has ${episodes.length})`);
+    }
+    res.json({ success: true, PATIENT_ID: patient.PATIENT_ID, ...formatEpisode(episode) });
+});
+
 
 // =======================
 // 🩺 Ongoing Patients List (for "Ongoing Visits" page)
 // =======================
-app.get("/api/ongoing-patients", (req, res) => {
-    if (!unifiedCacheOngoing.loaded) {
-        return res.status(503).json({
-            error: "Ongoing patients cache is still loading. Please wait...",
-            loading: true,
-        });
-    }
+api.get("/ongoing-patients", requirePermission("patients:read"), validateRequest(schemas.ongoingPatients), cacheReady("ongoing"), (req, res) => {
 
-    const patientList = unifiedCacheOngoing.patients;
+    const patientList = cache.ongoing.patients;
     console.log(`✅ Returning all ongoing patients (${patientList.length})`);
 
     // 🧩 Format the response
@@ -334,31 +585,19 @@ app.get("/api/ongoing-patients", (req, res) => {
 // =======================
 // 🩺 Get Ongoing Patient Details by ID (for "Ongoing Visits" page)
 // =======================
-app.get("/api/ongoing-patientDetails/:id", (req, res) => {
-    if (!unifiedCacheOngoing.loaded) {
-        return res.status(503).json({
-            error: "Ongoing patients cache is still loading. Please wait...",
-            loading: true,
-        });
-    }
+api.get("/ongoing-patientDetails/:id", auditPhiAccess(), requirePermission("patients:read"), validateRequest(schemas.ongoingPatientDetails), cacheReady("ongoing"), (req, res) => {
 
-    const patientId = Number(req.params.id);
-    if (!patientId) {
-        return res.status(400).json({ error: "Invalid or missing patient ID" });
-    }
+    const patientId = req.params.id;
 
     // 🔍 Find patient
-    const patient = unifiedCacheOngoing.patients.find(
-        (p) => Number(p.PATIENT_ID) === patientId
-    );
+    const { store } = cache.ongoing;
+    const patient = store.getPatient(patientId);
     if (!patient) {
-        return res.status(404).json({ error: `No ongoing patient found with ID ${patientId}` });
+        return sendError(res, "NOT_FOUND", `No ongoing patient found with ID ${patientId}`);
     }
 
     // 🔍 Find visits linked to this patient
-    const visits = unifiedCacheOngoing.visits.filter(
-        (v) => Number(v.PATIENT_ID) === patientId
-    );
+    const visits = store.visitsOf(patientId);
 
     // 🧩 Structure response
     const response = {
@@ -367,6 +606,8 @@ app.get("/api/ongoing-patientDetails/:id", (req, res) => {
         // Add empty arrays so the React app doesn't crash
         deliveries: [],
         babies: [],
+        // ⭐️ Sudden changes between consecutive cleaned visits
+        anomalies: detectAnomalies(validateVisitRecords(visits).visits),
         message: `✅ Found ${visits.length} visits for ongoing patient ID ${patientId}`,
     };
 
@@ -377,33 +618,16 @@ app.get("/api/ongoing-patientDetails/:id", (req, res) => {
 // =======================
 // 🩺 Home Page KPI Summary
 // =======================
-app.get("/api/home-summary", (req, res) => {
-    console.log("📊 Home summary requested - Cache status:", {
-        main: unifiedCache.loaded,
-        ongoing: unifiedCacheOngoing.loaded
-    });
-
-    if (!unifiedCache.loaded || !unifiedCacheOngoing.loaded) {
-        console.log("❌ Cache not ready yet");
-        return res.status(503).json({
-            success: false,
-            error: "Cache is still loading. Please wait...",
-            loading: true,
-            cacheStatus: {
-                main: unifiedCache.loaded,
-                ongoing: unifiedCacheOngoing.loaded
-            }
-        });
-    }
+api.get("/home-summary", requirePermission("aggregates:read"), validateRequest(schemas.homeSummary), cacheReady("main", "ongoing"), (req, res, next) => {
+    console.log("📊 Home summary requested");
 
     try {
         // Safely access cache data with fallbacks
-        const hospitalPatients = unifiedCache.patients || [];
-        const ongoingPatients = unifiedCacheOngoing.patients || [];
-        const deliveries = unifiedCache.deliveries || [];
-        const babies = unifiedCache.babies || [];
-        const hospitalVisits = unifiedCache.visits || [];
-        const ongoingVisits = unifiedCacheOngoing.visits || [];
+        const { store } = cache.main;
+        const hospitalPatients = cache.main.patients || [];
+        const ongoingPatients = store.patientsByStatus("ongoing");
+        const deliveries = cache.main.deliveries || [];
+        const babies = cache.main.babies || [];
 
         console.log("📈 Data counts:", {
             hospitalPatients: hospitalPatients.length,
@@ -413,9 +637,11 @@ app.get("/api/home-summary", (req, res) => {
         });
 
         // Calculate metrics
-        const totalHospitalPatients = hospitalPatients.length;
+        // ⭐️ Every patient has exactly one pregnancy status, so nobody is counted twice
+        const totalPatients = store.size;
         const totalOngoingPatients = ongoingPatients.length;
-        const totalPatients = totalHospitalPatients + totalOngoingPatients;
+        const pregnancyLosses = store.patientsByStatus("loss").length;
+        const totalHospitalPatients = store.patientsByStatus("delivered").length + pregnancyLosses;
         
         // Calculate delivery types
         let normalDeliveryCount = 0;
@@ -435,16 +661,15 @@ app.get("/api/home-summary", (req, res) => {
         const totalDeliveries = normalDeliveryCount + cSectionDeliveryCount;
         const totalBabies = babies.length;
         
-        // Calculate today's appointments
-        const today = new Date().toDateString();
-        const todaysAppointments = 
-            hospitalVisits.filter(v => v.VISIT_DATE && new Date(v.VISIT_DATE).toDateString() === today).length +
-            ongoingVisits.filter(v => v.VISIT_DATE && new Date(v.VISIT_DATE).toDateString() === today).length;
+        // Today's appointments = antenatal contacts scheduled for today (from each patient's EDD)
+        const visitsRecordedToday = store.visitsOn().length;
+        const { contactsDueToday: todaysAppointments, overduePatients } = scheduleCounts();
         
         // Calculate delivery types from babies data or deliveries data
         let maturedCount = 0;
         let prematureCount = 0;
-        let mortalityCount = 0;
+        // ⭐️ Mortality from the SOURCE_SCHEMA index of patients
+        const mortalityCount = store.patientsBySourceSchema('MORTALITY').length;
 
         // Calculate from babies data
         babies.forEach(baby => {
@@ -456,13 +681,6 @@ app.get("/api/home-summary", (req, res) => {
             } 
         });
 
-         // Calculate mortality from patients data
-        hospitalPatients.forEach(patient => {
-            if (patient.SOURCE_SCHEMA === 'MORTALITY') {
-                mortalityCount++;
-            }
-        });
-
         const totalBabiesWithType = maturedCount + prematureCount + mortalityCount;
         const maturedRate = totalBabiesWithType > 0 ? Math.round((maturedCount / totalBabiesWithType) * 100) : 0;
         const prematureRate = totalBabiesWithType > 0 ? Math.round((prematureCount / totalBabiesWithType) * 100) : 0;
@@ -474,6 +692,7 @@ app.get("/api/home-summary", (req, res) => {
             totalPatients: totalPatients,
             activePregnancies: totalOngoingPatients,
             historicalPatients: totalHospitalPatients,
+            pregnancyLosses: pregnancyLosses,
             
             // Delivery Analytics
             normalDeliveryCount: normalDeliveryCount,
@@ -483,6 +702,8 @@ app.get("/api/home-summary", (req, res) => {
             
             // Daily Operations
             todaysAppointments: todaysAppointments,
+            visitsRecordedToday: visitsRecordedToday,
+            overdueContacts: overduePatients,
             
             // Calculated Ratios
             normalDeliveryRate: totalDeliveries > 0 ? Math.round((normalDeliveryCount / totalDeliveries) * 100) : 0,
@@ -503,12 +724,8 @@ app.get("/api/home-summary", (req, res) => {
         res.json(summary);
         
     } catch (err) {
-        console.error("❌ Error in /api/home-summary:", err.message);
-        res.status(500).json({ 
-            success: false,
-            error: "Failed to generate summary from cache",
-            details: err.message 
-        });
+        // ⭐️ Logged with a reference by errorHandler (apiErrors.js)
+        next(err);
     }
 });
 
@@ -517,41 +734,13 @@ app.get("/api/home-summary", (req, res) => {
 // 🩺 Reference Averages Endpoint
 // =======================
 
-app.post("/api/reference-averages", async (req, res) => {
+api.post("/reference-averages", requirePermission("aggregates:read"), validateRequest(schemas.referenceAverages), async (req, res) => {
   try {
     const { deliveryType, deliveryMode } = req.body;
 
-    if (!deliveryType || !deliveryMode) {
-      return res.status(400).json({
-        success: false,
-        error: "Missing deliveryType or deliveryMode in request body.",
-      });
-    }
-
     console.log(`📊 Fetching averages for ${deliveryType} + ${deliveryMode}`);
 
-    // FIXED: Use parameterized query correctly
-    const sql = `
-      SELECT
-        V.GESTATIONAL_AGE_WEEKS,
-        ROUND(AVG(V.MATERNAL_WEIGHT), 2) AS AVG_WEIGHT,
-        ROUND(AVG(V.FUNDAL_HEIGHT), 2) AS AVG_FUNDAL,
-        ROUND(AVG(V.HEMOGLOBIN_LEVEL), 2) AS AVG_HB,
-        ROUND(AVG(TRY_CAST(SPLIT_PART(V.BLOOD_PRESSURE, '/', 1) AS FLOAT))) AS AVG_SYSTOLIC,
-        ROUND(AVG(TRY_CAST(SPLIT_PART(V.BLOOD_PRESSURE, '/', 2) AS FLOAT))) AS AVG_DIASTOLIC,
-        ROUND(AVG(V.FETAL_HEART_RATE), 2) AS AVG_FHR
-      FROM HEAL.HOSPITAL_VIEW.UNIFIED_VISITS_VIEW V
-      JOIN HEAL.HOSPITAL_VIEW.UNIFIED_DELIVERIES_VIEW D
-        ON V.PATIENT_ID = D.PATIENT_ID
-      WHERE 
-        LOWER(D.SOURCE_SCHEMA) = LOWER(?)
-        AND LOWER(D.DELIVERY_MODE) = LOWER(?)
-      GROUP BY V.GESTATIONAL_AGE_WEEKS
-      ORDER BY V.GESTATIONAL_AGE_WEEKS ASC
-    `;
-
-    // FIXED: Use the correct parameter format for Snowflake
-    const rows = await runQuery(sql, [deliveryType, deliveryMode]);
+    const rows = await dataSource.referenceAverages(deliveryType, deliveryMode);
 
     if (!rows || rows.length === 0) {
       return res.json({
@@ -619,34 +808,29 @@ app.post("/api/reference-averages", async (req, res) => {
     });
 
   } catch (error) {
+    // ⭐️ SQL state and driver messages stay in the log
     console.error("❌ Reference average error:", error);
-    res.status(500).json({
-      success: false,
-      error: "Failed to fetch reference averages.",
-      details: error.message,
-      sqlState: error.sqlState,
-      code: error.code
-    });
+    sendError(res, "UPSTREAM_ERROR", "Failed to fetch reference averages.");
   }
 });
 
 
 // Debug endpoint to check cache status
-app.get("/api/debug-cache", (req, res) => {
+api.get("/debug-cache", requirePermission("debug:read"), validateRequest(schemas.debugCache), (req, res) => {
     const cacheStatus = {
         unifiedCache: {
-            loaded: unifiedCache.loaded,
-            loading: unifiedCache.loading,
-            patients: unifiedCache.patients?.length || 0,
-            deliveries: unifiedCache.deliveries?.length || 0,
-            babies: unifiedCache.babies?.length || 0,
-            visits: unifiedCache.visits?.length || 0
+            loaded: cache.main.loaded,
+            loading: cache.main.loading,
+            patients: cache.main.patients?.length || 0,
+            deliveries: cache.main.deliveries?.length || 0,
+            babies: cache.main.babies?.length || 0,
+            visits: cache.main.visits?.length || 0
         },
         unifiedCacheOngoing: {
-            loaded: unifiedCacheOngoing.loaded,
-            loading: unifiedCacheOngoing.loading,
-            patients: unifiedCacheOngoing.patients?.length || 0,
-            visits: unifiedCacheOngoing.visits?.length || 0
+            loaded: cache.ongoing.loaded,
+            loading: cache.ongoing.loading,
+            patients: cache.ongoing.patients?.length || 0,
+            visits: cache.ongoing.visits?.length || 0
         },
         timestamp: new Date().toISOString()
     };
@@ -660,32 +844,52 @@ app.get("/api/debug-cache", (req, res) => {
 // =======================
 // 🏥 Get Unique Patient Addresses
 // =======================
-app.get("/api/patient-addresses", (req, res) => {
-    if (!unifiedCache.loaded) {
-        return res.status(503).json({
-            error: "Cache is still loading. Please wait...",
-            loading: true,
-        });
-    }
+api.get("/patient-addresses", requirePermission("aggregates:read"), validateRequest(schemas.patientAddresses), cacheReady("main"), (req, res) => {
+
+    const { level } = req.query;
 
     try {
-        // Extract unique addresses from patients data
-        const addresses = unifiedCache.patients
-            .map(p => p.ADDRESS)
-            .filter(address => address && address.trim() !== '') // Remove empty addresses
-            .filter((address, index, self) => self.indexOf(address) === index) // Get unique addresses
-            .sort(); // Sort alphabetically
+        // ⭐️ Spelling variants of the same place collapse into one gazetteer area
+        // ("area:<code>"); addresses the gazetteer does not know stay as raw options
+        const { store } = cache.main;
+        const areaOptions = new Map();
+        const unmatched = [];
+        store.addresses().forEach((address) => {
+            const area = resolveAddressCached(address);
+            const place = area[level] || (level !== "district" && (area.block || area.district)) || null;
+            if (!place) {
+                unmatched.push(address);
+                return;
+            }
+            if (!areaOptions.has(place.code)) {
+                areaOptions.set(place.code, {
+                    value: `area:${place.code}`,
+                    label: placeLabel(place.code),
+                    level: getGazetteer().places.get(place.code).level,
+                    patients: store.patientsByArea(place.code).length,
+                    addresses: [],
+                });
+            }
+            areaOptions.get(place.code).addresses.push(address);
+        });
+        // Raw addresses identify patients - analysts get the gazetteer areas only
+        const showRaw = hasPermission(req.user, "patients:read");
+        const addresses = [...areaOptions.values()]
+            .map((option) => (showRaw ? option : { ...option, addresses: undefined }))
+            .sort((a, b) => a.label.localeCompare(b.label));
 
         // Add "All Locations" option
         const addressOptions = [
             { value: 'all', label: 'All Locations' },
-            ...addresses.map(address => ({
+            ...addresses,
+            ...(showRaw ? unmatched : []).map(address => ({
                 value: address,
-                label: address
+                label: address,
+                level: null,
             }))
         ];
 
-        console.log(`✅ Found ${addresses.length} unique patient addresses`);
+        console.log(`✅ Found ${addresses.length} ${level} areas and ${unmatched.length} unmatched addresses`);
         
         res.json({
             success: true,
@@ -693,63 +897,123 @@ app.get("/api/patient-addresses", (req, res) => {
         });
     } catch (err) {
         console.error("❌ Error fetching patient addresses:", err);
-        res.status(500).json({
-            success: false,
-            error: "Failed to fetch patient addresses"
-        });
+        sendError(res, "INTERNAL_ERROR", "Failed to fetch patient addresses");
+    }
+});
+
+// =======================
+// 🗺️ Area Metrics (gazetteer districts / blocks / villages, JSON or GeoJSON)
+// =======================
+api.get("/areas", requirePermission("aggregates:read"), validateRequest(schemas.areas), cacheReady("main", "ongoing"), (req, res) => {
+
+    const { level, format, sourceSchema, bmiStatus } = req.query;
+
+    let store = cache.main.store;
+    if (sourceSchema) store = store.subset(store.patientsBySourceSchema(sourceSchema));
+    if (bmiStatus) store = store.subset(store.patientsByBmiStatus(bmiStatus));
+
+    const metrics = buildAreaMetrics(store, { level, riskLevels: riskLevelsByPatient() });
+    if (format === "geojson") {
+        return res.type("application/geo+json").send(JSON.stringify(toGeoJson(metrics)));
+    }
+    if (!hasPermission(req.user, "patients:read")) {
+        metrics.unmatched = { patients: metrics.unmatched.patients };
+    }
+    res.json({ success: true, snapshotVersion: cache.version, ...metrics });
+});
+
+// How one raw address resolves against the gazetteer (not memoised - the memo is for cached ADDRESS values)
+api.get("/areas/resolve", requirePermission("aggregates:read"), validateRequest(schemas.resolveArea), (req, res) => {
+    const { address } = req.query;
+    res.json({ success: true, address, ...resolveAddress(address) });
+});
+
+// =======================
+// 📈 Outcome Trends (deliveries and babies by month / quarter / year)
+// =======================
+api.get("/trends/outcomes", requirePermission("aggregates:read"), validateRequest(schemas.outcomeTrends), cacheReady("main"), (req, res) => {
+
+    const { interval, from, to, address, sourceSchema, bmiStatus, confidence } = req.query;
+    const fromTime = from ? new Date(from).getTime() : null;
+    const toTime = to ? new Date(to).getTime() : null;
+
+    if (fromTime !== null && toTime !== null && fromTime > toTime) {
+        return sendError(res, "VALIDATION_ERROR", "from must not be after to");
+    }
+
+    // ⭐️ Filters use the store indexes; each one narrows the patient set further
+    let store = cache.main.store;
+    const filters = [
+        [address && address !== "all", () => store.patientsByAddress(address)],
+        [sourceSchema, () => store.patientsBySourceSchema(sourceSchema)],
+        [bmiStatus, () => store.patientsByBmiStatus(bmiStatus)],
+    ];
+    filters.forEach(([active, select]) => {
+        if (active) store = store.subset(select());
+    });
+
+    const trends = buildOutcomeTrends(store, { interval, from: fromTime, to: toTime, confidence });
+    res.json({
+        success: true,
+        filters: { address: address ?? null, sourceSchema: sourceSchema ?? null, bmiStatus: bmiStatus ?? null, from: from ?? null, to: to ?? null },
+        patients: store.size,
+        snapshotVersion: cache.version,
+        ...trends,
+    });
+});
+
+// =======================
+// 👥 Cohort Comparison (two filtered cohorts, side-by-side outcomes)
+// =======================
+// Filter names and types are checked by schemas.cohortComparison; this covers the ranges
+function cohortDefinitionError(definition, index) {
+    const label = `cohorts[${index}]`;
+    if (definition.ageMin > definition.ageMax) return `${label}.ageMin must not be greater than ageMax`;
+    if (definition.parityMin > definition.parityMax) return `${label}.parityMin must not be greater than parityMax`;
+    return null;
+}
+
+api.post("/cohorts/compare", requirePermission("aggregates:read"), validateRequest(schemas.cohortComparison), cacheReady("main"), (req, res) => {
+
+    const { cohorts, confidence } = req.body;
+    const definitionError = cohorts.map(cohortDefinitionError).find(Boolean);
+    if (definitionError) {
+        return sendError(res, "VALIDATION_ERROR", definitionError);
     }
+
+    const comparison = compareCohorts(cache.main.store, cohorts, { confidence });
+    console.log(`👥 Cohort comparison: ${comparison.cohorts.map((c) => `${c.name} (${c.deliveries})`).join(" vs ")}`);
+    res.json({ success: true, snapshotVersion: cache.version, ...comparison });
 });
 
 // =======================
 // 🏥 Get Filtered Home Summary by Address
 // =======================
-app.get("/api/home-summary-filtered", (req, res) => {
+api.get("/home-summary-filtered", requirePermission("aggregates:read"), validateRequest(schemas.homeSummaryFiltered), cacheReady("main"), (req, res, next) => {
     const address = req.query.address;
     
-    if (!unifiedCache.loaded) {
-        return res.status(503).json({
-            error: "Cache is still loading. Please wait...",
-            loading: true,
-        });
-    }
 
     try {
-        let filteredPatients = unifiedCache.patients;
-        let filteredVisits = unifiedCache.visits;
-        let filteredDeliveries = unifiedCache.deliveries;
-        let filteredBabies = unifiedCache.babies;
-
-        // Filter by address if provided and not 'all'
-        if (address && address !== 'all') {
-            filteredPatients = unifiedCache.patients.filter(p => 
-                p.ADDRESS && p.ADDRESS === address
-            );
-            
-            const filteredPatientIds = filteredPatients.map(p => p.PATIENT_ID);
-            
-            filteredVisits = unifiedCache.visits.filter(v => 
-                filteredPatientIds.includes(v.PATIENT_ID)
-            );
-            filteredDeliveries = unifiedCache.deliveries.filter(d => 
-                filteredPatientIds.includes(d.PATIENT_ID)
-            );
-            filteredBabies = unifiedCache.babies.filter(b => 
-                filteredPatientIds.includes(b.PATIENT_ID)
-            );
+        let store = cache.main.store;
+
+        // Filter by address if provided and not 'all' ("area:<code>" = gazetteer area, see /api/patient-addresses)
+        if (address && address.startsWith("area:")) {
+            store = store.subset(store.patientsByArea(address.slice(5)));
+        } else if (address && address !== 'all') {
+            store = store.subset(store.patientsByAddress(address));
         }
 
         // Calculate metrics with filtered data
-        const hospitalPatients = filteredPatients || [];
-        const ongoingPatients = unifiedCacheOngoing.patients || []; // Ongoing patients remain unfiltered for now
-        const deliveries = filteredDeliveries || [];
-        const babies = filteredBabies || [];
-        const hospitalVisits = filteredVisits || [];
-        const ongoingVisits = unifiedCacheOngoing.visits || [];
-
-        // Your existing calculation logic here...
-        const totalHospitalPatients = hospitalPatients.length;
+        const hospitalPatients = store.patients;
+        const ongoingPatients = store.patientsByStatus("ongoing");
+        const deliveries = store.deliveries;
+        const babies = store.babies;
+
+        // ⭐️ Every patient has exactly one pregnancy status, so nobody is counted twice
+        const totalPatients = store.size;
         const totalOngoingPatients = ongoingPatients.length;
-        const totalPatients = totalHospitalPatients + totalOngoingPatients;
+        const pregnancyLosses = store.patientsByStatus("loss").length;
+        const totalHospitalPatients = store.patientsByStatus("delivered").length + pregnancyLosses;
         
         // Calculate delivery types
         let normalDeliveryCount = 0;
@@ -769,16 +1033,18 @@ app.get("/api/home-summary-filtered", (req, res) => {
         const totalDeliveries = normalDeliveryCount + cSectionDeliveryCount;
         const totalBabies = babies.length;
         
-        // Calculate today's appointments
-        const today = new Date().toDateString();
-        const todaysAppointments = 
-            hospitalVisits.filter(v => v.VISIT_DATE && new Date(v.VISIT_DATE).toDateString() === today).length +
-            ongoingVisits.filter(v => v.VISIT_DATE && new Date(v.VISIT_DATE).toDateString() === today).length;
+        // Today's appointments = antenatal contacts scheduled for today (from each patient's EDD)
+        const visitsRecordedToday = store.visitsOn().length;
+        // ⭐️ Only the filtered patients' schedules
+        const { contactsDueToday: todaysAppointments, overduePatients } = scheduleCounts(
+            new Date(),
+            ongoingPatients.map((p) => p.PATIENT_ID)
+        );
         
         // Calculate delivery types from babies data
         let maturedCount = 0;
         let prematureCount = 0;
-        let mortalityCount = 0;
+        const mortalityCount = store.patientsBySourceSchema('MORTALITY').length;
 
         babies.forEach(baby => {
             if (baby.SOURCE_SCHEMA === 'MATURED') {
@@ -788,12 +1054,6 @@ app.get("/api/home-summary-filtered", (req, res) => {
             } 
         });
 
-        hospitalPatients.forEach(patient => {
-            if (patient.SOURCE_SCHEMA === 'MORTALITY') {
-                mortalityCount++;
-            }
-        });
-
         const totalBabiesWithType = maturedCount + prematureCount + mortalityCount;
         const maturedRate = totalBabiesWithType > 0 ? Math.round((maturedCount / totalBabiesWithType) * 100) : 0;
         const prematureRate = totalBabiesWithType > 0 ? Math.round((prematureCount / totalBabiesWithType) * 100) : 0;
@@ -805,6 +1065,7 @@ app.get("/api/home-summary-filtered", (req, res) => {
             totalPatients: totalPatients,
             activePregnancies: totalOngoingPatients,
             historicalPatients: totalHospitalPatients,
+            pregnancyLosses: pregnancyLosses,
             
             // Delivery Analytics
             normalDeliveryCount: normalDeliveryCount,
@@ -814,6 +1075,8 @@ app.get("/api/home-summary-filtered", (req, res) => {
             
             // Daily Operations
             todaysAppointments: todaysAppointments,
+            visitsRecordedToday: visitsRecordedToday,
+            overdueContacts: overduePatients,
             
             // Calculated Ratios
             normalDeliveryRate: totalDeliveries > 0 ? Math.round((normalDeliveryCount / totalDeliveries) * 100) : 0,
@@ -840,23 +1103,215 @@ app.get("/api/home-summary-filtered", (req, res) => {
         res.json(summary);
         
     } catch (err) {
-        console.error("❌ Error in /api/home-summary-filtered:", err.message);
-        res.status(500).json({ 
-            success: false,
-            error: "Failed to generate filtered summary",
-            details: err.message 
-        });
+        next(err);
     }
 });
 
 
 
+// =======================
+// 📅 EDD, Antenatal Schedule & Overdue Contacts
+// =======================
+api.get("/ongoing-patients/:id/schedule", requirePermission("worklist:read"), validateRequest(schemas.ongoingSchedule), cacheReady("ongoing"), (req, res) => {
+
+    const patientId = req.params.id;
+
+    const schedule = getPatientSchedule(patientId);
+    if (!schedule) {
+        return sendError(res, "NOT_FOUND", `No dated visits for ongoing patient ID ${patientId}`);
+    }
+    res.json({ success: true, ...schedule });
+});
+
+api.get("/antenatal/overdue", requirePermission("worklist:read"), validateRequest(schemas.overdueContacts), cacheReady("ongoing"), (req, res) => {
+
+    const { patients, builtAt } = listOverdue();
+    res.json({ success: true, count: patients.length, builtAt, patients });
+});
+
+// =======================
+// 📋 High-Risk Worklist (ongoing patients)
+// =======================
+api.get("/worklist", requirePermission("worklist:read"), validateRequest(schemas.worklist), cacheReady("ongoing"), (req, res) => {
+
+    const { riskLevel = [], gaMin = null, gaMax = null, address, bmiStatus, sort, order, page, pageSize } = req.query;
+
+    const result = queryWorklist({ riskLevels: riskLevel, address, bmiStatus, sort, order, gaMin, gaMax, page, pageSize });
+    res.json({ success: true, ...result });
+});
+
+// =======================
+// 🚨 Early-Warning Alerts (ongoing patients)
+// =======================
+api.get("/alerts", requirePermission("worklist:read"), validateRequest(schemas.alerts), cacheReady("ongoing"), (req, res) => {
+
+    const { level, status } = req.query;
+
+    const { alerts, builtAt } = listAlerts({ level, status });
+    res.json({ success: true, count: alerts.length, builtAt, alerts });
+});
+
+api.post("/alerts/:patientId/acknowledge", requirePermission("alerts:write"), validateRequest(schemas.acknowledgeAlert), (req, res) => {
+    const { note } = req.body;
+    const alert = acknowledgeAlert(req.params.patientId, { by: req.user.username, note });
+    if (!alert) {
+        return sendError(res, "NOT_FOUND", "No active alert for this patient");
+    }
+    res.json({ success: true, alert });
+});
+
+api.post("/alerts/:patientId/snooze", requirePermission("alerts:write"), validateRequest(schemas.snoozeAlert), (req, res) => {
+    const { minutes, note } = req.body;
+    const alert = snoozeAlert(req.params.patientId, { minutes, by: req.user.username, note });
+    if (!alert) {
+        return sendError(res, "NOT_FOUND", "No active alert for this patient");
+    }
+    res.json({ success: true, alert });
+});
+
+// =======================
+// 🧪 Prediction Engine Backtest (delivered patients)
+// =======================
+api.post("/backtest", requirePermission("backtest:run"), validateRequest(schemas.startBacktest), cacheReady("main"), (req, res) => {
+
+    const { truncateAtGA, bins } = req.body;
+
+    const job = startBacktestJob(cache.main, { truncateAtGA, bins });
+    console.log(`🧪 Backtest ${job.id} started (truncate at ${truncateAtGA} weeks)`);
+
+    res.status(202).json({ success: true, jobId: job.id, status: job.status });
+});
+
+api.get("/backtest", requirePermission("backtest:run"), validateRequest(schemas.backtestJobs), (req, res) => {
+    res.json({ success: true, jobs: listBacktestJobs() });
+});
+
+api.get("/backtest/:jobId", requirePermission("backtest:run"), validateRequest(schemas.backtestJob), (req, res) => {
+    const job = getBacktestJob(req.params.jobId);
+    if (!job) {
+        return sendError(res, "NOT_FOUND", "Backtest job not found");
+    }
+    res.json({ success: true, ...job });
+});
+
+
+// =======================
+// 🔁 Pregnancy Status Transitions (ongoing -> delivered / loss), detected on refresh
+// =======================
+api.get("/lifecycle/transitions", requirePermission("patients:read"), validateRequest(schemas.lifecycleTransitions), (req, res) => {
+    const { patientId = null, to = null, since = null, limit } = req.query;
+
+    const transitions = listTransitions({ patientId, to, since, limit });
+    res.json({ success: true, count: transitions.length, snapshotVersion: cache.version, transitions });
+});
+
+
+
+// =======================
+// 🔬 De-identified Research Export
+// =======================
+api.get("/export/deidentified", auditPhiAccess({ patientIds: () => [] }), requirePermission("export:deidentified"), validateRequest(schemas.deidentifiedExport), cacheReady("main"), (req, res) => {
+
+    const { datasets, download } = req.query;
+
+    const { store } = cache.main;
+    const deidentifier = createDeidentifier("research");
+    const patientOf = (row) => store.getPatient(row.PATIENT_ID);
+    const exported = Object.fromEntries(
+        datasets.map((name) => [name, deidentifier.records(cache.main[name], patientOf)])
+    );
+
+    res.locals.auditDetails = {
+        profile: deidentifier.profile,
+        rows: Object.fromEntries(Object.entries(exported).map(([name, rows]) => [name, rows.length])),
+    };
+    if (download) {
+        res.attachment(`deidentified-export-v${cache.version}.json`);
+    }
+    res.json({
+        success: true,
+        profile: deidentifier.profile,
+        snapshotVersion: cache.version,
+        generatedAt: new Date().toISOString(),
+        datasets: exported,
+    });
+});
+
+// =======================
+// 🧾 PHI Access Audit Log (auditors)
+// =======================
+api.get("/audit", requirePermission("audit:read"), validateRequest(schemas.auditLog), (req, res) => {
+    const { patientId = null, user = null, route = null, result = null, limit, offset } = req.query;
+    const from = req.query.from ? new Date(req.query.from).getTime() : null;
+    const to = req.query.to ? new Date(req.query.to).getTime() : null;
+
+    const { total, entries } = queryAuditLog({ patientId, user, from, to, route, result, limit, offset });
+    // ⭐️ Reading the audit log is itself logged
+    const { route: auditedRoute, via } = auditRoute(req, res);
+    appendAuditEntry({
+        user: req.user.username,
+        role: req.user.role,
+        method: req.method,
+        route: auditedRoute,
+        path: req.originalUrl,
+        patientIds: patientId ? [patientId] : [],
+        purpose: "audit",
+        result: "success",
+        status: 200,
+        details: via ? { via } : null,
+    });
+    res.json({ success: true, total, count: entries.length, offset, entries });
+});
+
+// Re-checks the whole hash chain; headHash is the value to record elsewhere
+api.get("/audit/verify", requirePermission("audit:read"), validateRequest(schemas.auditVerify), (req, res) => {
+    const check = verifyAuditChain();
+    if (!check.valid) {
+        return sendError(res, "CONFLICT", "Audit log hash chain is broken", check);
+    }
+    res.json({ success: true, ...check });
+});
+
+
+// Anything else under /api
+api.use(notFoundHandler);
+
+// Unversioned /api/* paths: the same routes, marked deprecated so clients can
+// move to /api/v1 before response shapes change there
+// (API_LEGACY_SUNSET = the date they will be removed, sent as the Sunset header)
+const legacySunset = new Date(process.env.API_LEGACY_SUNSET || NaN);
+const warnedLegacyPaths = new Set();
+function deprecatedAlias(req, res, next) {
+    // ⭐️ Audited under the canonical /api/v1 route (see auditLog.js)
+    res.locals.apiAlias = { base: "/api", canonicalBase: API_BASE };
+    res.set("Deprecation", "true");
+    res.set("Link", `<${API_BASE}${req.path}>; rel="successor-version"`);
+    if (!Number.isNaN(legacySunset.getTime())) {
+        res.set("Sunset", legacySunset.toUTCString());
+    }
+    // Logged once per route pattern (req.route is only known once the request
+    // has been routed); requests no route matched are not logged
+    res.on("finish", () => {
+        if (!req.route) return;
+        const key = `${req.method} ${req.baseUrl}${req.route.path}`;
+        if (!warnedLegacyPaths.has(key)) {
+            warnedLegacyPaths.add(key);
+            console.warn(`⚠️ Deprecated path used: ${key} - switch to ${API_BASE}`);
+        }
+    });
+    next();
+}
 
+app.use(API_BASE, api);
+app.use("/api", deprecatedAlias, api);
 
+// Uniform error envelope (apiErrors.js)
+app.use(errorHandler);
 
 // Start server
 app.listen(port, () => {
     console.log(`🚀 Server running at http://localhost:${port}`);
     console.log(`💾 Cache system enabled - data will load on startup`);
+    console.log(`📖 API explorer at http://localhost:${port}${API_BASE}/docs`);
 });
 
@@ -0,0 +1,174 @@
+// openapi.js
+//
+// OpenAPI 3.1 document for /api/v1, generated from the Express routers
+// rather than written by hand, so it cannot drift from the code. For every
+// route it reads the middleware the route is declared with:
+//
+//   validateRequest(schema)      params / query / body, plus tags, summary,
+//                                description and success responses
+//                                (apiSchemas.js)
+//   authenticate                 bearer token required
+//   requirePermission(p)         x-permission, 403
+//   cacheReady(...slices)        503 CACHE_LOADING while the cache loads
+//
+// Error responses all use the apiErrors.js envelope (components.schemas.Error).
+// apiExplorerPage() is the interactive explorer served next to the document.
+// Its Swagger UI assets come from the swagger-ui-dist package in node_modules
+// (SWAGGER_UI_ASSETS_DIR, served by index.js), not a CDN, and the bearer token
+// is kept only for the lifetime of the page.
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import getSwaggerUiPath from "swagger-ui-dist/absolute-path.js";
+import { authenticate } from "./auth/index.js";
+import { MODELS } from "./apiSchemas.js";
+
+export const OPENAPI_VERSION = "3.1.0";
+export const SWAGGER_UI_ASSETS_DIR = getSwaggerUiPath();
+
+const packageVersion = () => {
+    const file = path.join(path.dirname(fileURLToPath(import.meta.url)), "package.json");
+    return JSON.parse(fs.readFileSync(file, "utf8")).version;
+};
+
+const ERROR_RESPONSES = {
+    BadRequest: "Invalid params, query or body (VALIDATION_ERROR) or malformed JSON (MALFORMED_JSON)",
+    Unauthorized: "Missing, expired or revoked bearer token (UNAUTHENTICATED)",
+    Forbidden: "The user's role lacks the permission (FORBIDDEN)",
+    NotFound: "No such record (NOT_FOUND)",
+    CacheLoading: "The cache has not finished its first load (CACHE_LOADING)",
+    InternalError: "Unexpected error, logged under `reference` (INTERNAL_ERROR)",
+};
+
+const errorRef = (name) => ({ $ref: `#/components/responses/${name}` });
+
+// "/patients/:id/pregnancies" -> "/patients/{id}/pregnancies"
+const openApiPath = (expressPath) => expressPath.replace(/:(\w+)/g, "{$1}");
+
+// GET /patients/{id}/pregnancies -> getPatientsIdPregnancies
+const operationId = (method, routePath) =>
+    method + routePath.split(/[^A-Za-z0-9]+/).filter(Boolean).map((part) => part[0].toUpperCase() + part.slice(1)).join("");
+
+function parametersOf(objectSchema, location) {
+    if (!objectSchema?.properties) return [];
+    return Object.entries(objectSchema.properties).map(([name, schema]) => {
+        const { description, ...rest } = schema;
+        const parameter = { name, in: location, required: location === "path" || (objectSchema.required || []).includes(name) };
+        if (description) parameter.description = description;
+        parameter.schema = rest;
+        // Lists are comma-separated (?status=ongoing,loss), see requestSchema.js
+        if (rest.type === "array") Object.assign(parameter, { style: "form", explode: false });
+        return parameter;
+    });
+}
+
+function responsesOf(declared = { 200: { description: "OK" } }) {
+    return Object.fromEntries(Object.entries(declared).map(([status, { description, schema }]) => [
+        status,
+        schema ? { description, content: { "application/json": { schema } } } : { description },
+    ]));
+}
+
+function operationOf(method, routePath, handlers) {
+    const schema = handlers.find((handler) => handler.schema)?.schema || {};
+    const permission = handlers.find((handler) => handler.permission)?.permission;
+    const secured = Boolean(permission) || handlers.includes(authenticate);
+    const waitsForCache = handlers.some((handler) => handler.cacheSlices);
+
+    // Path params the schema does not declare are still listed, as strings
+    const declared = new Set(Object.keys(schema.params?.properties || {}));
+    const undeclared = [...routePath.matchAll(/:(\w+)/g)]
+        .map(([, name]) => name)
+        .filter((name) => !declared.has(name))
+        .map((name) => ({ name, in: "path", required: true, schema: { type: "string" } }));
+    const parameters = [...parametersOf(schema.params, "path"), ...undeclared, ...parametersOf(schema.query, "query")];
+
+    const responses = responsesOf(schema.responses);
+    if (schema.params || schema.query || schema.body) responses[400] = errorRef("BadRequest");
+    if (secured) responses[401] = errorRef("Unauthorized");
+    if (permission) responses[403] = errorRef("Forbidden");
+    if (parameters.some((parameter) => parameter.in === "path")) responses[404] = errorRef("NotFound");
+    if (waitsForCache) responses[503] = errorRef("CacheLoading");
+    responses[500] = errorRef("InternalError");
+
+    const operation = {
+        tags: schema.tags,
+        summary: schema.summary || `${method.toUpperCase()} ${routePath}`,
+        description: schema.description,
+        operationId: operationId(method, routePath),
+        parameters: parameters.length > 0 ? parameters : undefined,
+        requestBody: schema.body
+            ? { required: (schema.body.required || []).length > 0, content: { "application/json": { schema: schema.body } } }
+            : undefined,
+        responses,
+        security: secured ? [{ bearerAuth: [] }] : undefined,
+        "x-permission": permission,
+        deprecated: schema.deprecated,
+    };
+    return Object.fromEntries(Object.entries(operation).filter(([, value]) => value !== undefined));
+}
+
+// mounts: [{ prefix, router, guards }] - guards are the middleware the router is mounted behind
+// (router.use(prefix, ...guards, subRouter)), which Express does not keep on the sub-router.
+// Middleware added with router.use(fn) applies to the routes registered after it.
+export function buildOpenApiDocument({ mounts, basePath = "/api/v1", title = "Maternal Health API", description } = {}) {
+    const paths = {};
+    mounts.forEach(({ prefix = "", router, guards = [] }) => {
+        const routerMiddleware = [];
+        router.stack.forEach((layer) => {
+            if (!layer.route) {
+                // Sub-routers and path-scoped middleware are documented through their own mount
+                if (layer.regexp.fast_slash && layer.name !== "router") routerMiddleware.push(layer.handle);
+                return;
+            }
+            const { route } = layer;
+            const routePath = prefix + route.path;
+            const handlers = [...guards, ...routerMiddleware, ...route.stack.map((routeLayer) => routeLayer.handle)];
+            Object.keys(route.methods)
+                .filter((method) => method !== "_all")
+                .forEach((method) => {
+                    paths[openApiPath(routePath)] ??= {};
+                    paths[openApiPath(routePath)][method] = operationOf(method, routePath, handlers);
+                });
+        });
+    });
+
+    const errorSchema = { $ref: "#/components/schemas/Error" };
+    return {
+        openapi: OPENAPI_VERSION,
+        info: { title, version: packageVersion(), description },
+        servers: [{ url: basePath }],
+        paths,
+        components: {
+            schemas: MODELS,
+            responses: Object.fromEntries(Object.entries(ERROR_RESPONSES).map(([name, text]) => [
+                name,
+                { description: text, content: { "application/json": { schema: errorSchema } } },
+            ])),
+            securitySchemes: {
+                bearerAuth: { type: "http", scheme: "bearer", bearerFormat: "JWT", description: "Token from POST /auth/login" },
+            },
+        },
+    };
+}
+
+// Swagger UI page for the document at `specUrl`, with the Swagger UI files under `assetsUrl`
+export function apiExplorerPage({ specUrl = "openapi.json", assetsUrl = "docs/assets", title = "Maternal Health API" } = {}) {
+    return `<!doctype html>
+<html lang="en">
+<head>
+    <meta charset="utf-8">
+    <title>${title}</title>
+    <link rel="stylesheet" href="${assetsUrl}/swagger-ui.css">
+</head>
+<body>
+    <div id="explorer"></div>
+    <script src="${assetsUrl}/swagger-ui-bundle.js"></script>
+    <script>
+        SwaggerUIBundle({ url: ${JSON.stringify(specUrl)}, dom_id: "#explorer" });
+    </script>
+</body>
+</html>
+`;
+}
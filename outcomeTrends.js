@@ -0,0 +1,184 @@
+// outcomeTrends.js
+//
+// Delivery and baby outcomes bucketed by month, quarter or year, for the
+// quality committee's trend review. Every rate comes with a Wilson interval,
+// so a 50% C-section rate from 4 deliveries reads very differently from one
+// built on 400.
+//
+// Deliveries are the pregnancy episodes of patientStore.episodesOf (twins
+// are one delivery); babies are bucketed by the date of the delivery they
+// are linked to. Each delivery falls in exactly one outcome category:
+//   - mortality:  SOURCE_SCHEMA "MORTALITY" or the episode is a pregnancy loss
+//   - premature:  GESTATIONAL_AGE_AT_DELIVERY < 37 (SOURCE_SCHEMA "PREMATURE" when GA is missing)
+//   - matured:    anything else
+// Rates only count records where the value is known (e.g. the C-section
+// rate ignores deliveries without a recognisable DELIVERY_MODE).
+
+import { classifyDeliveryMode, birthWeightKg, yesNo } from "./clinicalUtils.js";
+import { episodeStatus } from "./pregnancyStatus.js";
+import { wilsonInterval } from "./stats.js";
+
+export const TREND_INTERVALS = ["month", "quarter", "year"];
+
+const LOW_BIRTH_WEIGHT_KG = 2.5;
+const PRETERM_WEEKS = 37;
+
+const round = (value, decimals = 4) => (value == null ? null : Number(value.toFixed(decimals)));
+
+// =======================
+// 🗓️ Buckets
+// =======================
+
+// Dates are bucketed in UTC; DELIVERY_DATE values are calendar dates
+export function bucketKey(time, interval) {
+    const date = new Date(time);
+    const year = date.getUTCFullYear();
+    if (interval === "year") return String(year);
+    if (interval === "quarter") return `${year}-Q${Math.floor(date.getUTCMonth() / 3) + 1}`;
+    return `${year}-${String(date.getUTCMonth() + 1).padStart(2, "0")}`;
+}
+
+function bucketStart(key, interval) {
+    if (interval === "year") return Date.UTC(Number(key), 0, 1);
+    if (interval === "quarter") return Date.UTC(Number(key.slice(0, 4)), (Number(key.slice(6)) - 1) * 3, 1);
+    return Date.UTC(Number(key.slice(0, 4)), Number(key.slice(5, 7)) - 1, 1);
+}
+
+function nextBucketStart(time, interval) {
+    const date = new Date(time);
+    const months = interval === "year" ? 12 : interval === "quarter" ? 3 : 1;
+    return Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + months, 1);
+}
+
+// Every bucket between the first and last delivery, so empty periods show as zeros
+function bucketRange(firstTime, lastTime, interval) {
+    const keys = [];
+    for (let t = bucketStart(bucketKey(firstTime, interval), interval); t <= lastTime; t = nextBucketStart(t, interval)) {
+        keys.push(bucketKey(t, interval));
+    }
+    return keys;
+}
+
+// =======================
+// 📈 Counting
+// =======================
+
+function deliveryOutcome(patient, episode) {
+    const schema = episode.delivery.SOURCE_SCHEMA ?? patient.SOURCE_SCHEMA;
+    if (schema === "MORTALITY" || episodeStatus(episode).status === "loss") return "mortality";
+    const ga = Number(episode.delivery.GESTATIONAL_AGE_AT_DELIVERY);
+    if (episode.delivery.GESTATIONAL_AGE_AT_DELIVERY != null && !Number.isNaN(ga)) {
+        return ga < PRETERM_WEEKS ? "premature" : "matured";
+    }
+    return schema === "PREMATURE" ? "premature" : "matured";
+}
+
+const emptyCounts = () => ({
+    deliveries: 0,
+    modeKnown: 0,
+    normal: 0,
+    cSection: 0,
+    matured: 0,
+    premature: 0,
+    mortality: 0,
+    babies: 0,
+    nicuKnown: 0,
+    nicuAdmissions: 0,
+    weightKnown: 0,
+    lowBirthWeight: 0,
+});
+
+function addEpisode(counts, patient, episode) {
+    counts.deliveries++;
+    const mode = classifyDeliveryMode(episode.delivery.DELIVERY_MODE);
+    if (mode) {
+        counts.modeKnown++;
+        counts[mode === "csection" ? "cSection" : "normal"]++;
+    }
+    counts[deliveryOutcome(patient, episode)]++;
+
+    episode.babies.forEach((baby) => {
+        counts.babies++;
+        const nicu = yesNo(baby.NICU_ADMISSION);
+        if (nicu !== null) {
+            counts.nicuKnown++;
+            if (nicu) counts.nicuAdmissions++;
+        }
+        const weight = birthWeightKg(baby.BIRTH_WEIGHT);
+        if (weight !== null) {
+            counts.weightKnown++;
+            if (weight < LOW_BIRTH_WEIGHT_KG) counts.lowBirthWeight++;
+        }
+    });
+}
+
+function rate(count, denominator, confidence) {
+    const interval = wilsonInterval(count, denominator, confidence);
+    return {
+        count,
+        denominator,
+        rate: denominator > 0 ? round(count / denominator) : null,
+        ci: interval ? { lower: round(interval.lower), upper: round(interval.upper) } : null,
+    };
+}
+
+function summarise(counts, confidence) {
+    return {
+        deliveries: counts.deliveries,
+        babies: counts.babies,
+        normal: rate(counts.normal, counts.modeKnown, confidence),
+        cSection: rate(counts.cSection, counts.modeKnown, confidence),
+        matured: rate(counts.matured, counts.deliveries, confidence),
+        premature: rate(counts.premature, counts.deliveries, confidence),
+        mortality: rate(counts.mortality, counts.deliveries, confidence),
+        nicuAdmission: rate(counts.nicuAdmissions, counts.nicuKnown, confidence),
+        lowBirthWeight: rate(counts.lowBirthWeight, counts.weightKnown, confidence),
+    };
+}
+
+// store: PatientStore (already narrowed to the requested patients)
+// options: { interval, from, to (ms or null), confidence }
+export function buildOutcomeTrends(store, { interval = "month", from = null, to = null, confidence = 0.95 } = {}) {
+    const buckets = new Map();
+    const total = emptyCounts();
+    const excluded = { undatedDeliveries: 0, unlinkedBabies: 0 };
+    let firstTime = Infinity;
+    let lastTime = -Infinity;
+
+    store.patients.forEach((patient) => {
+        const { episodes, unlinkedBabies } = store.episodesOf(patient.PATIENT_ID);
+        excluded.unlinkedBabies += unlinkedBabies.length;
+
+        episodes
+            .filter((episode) => episode.delivery)
+            .forEach((episode) => {
+                const time = episode.deliveryDate ? new Date(episode.deliveryDate).getTime() : NaN;
+                if (Number.isNaN(time)) {
+                    excluded.undatedDeliveries++;
+                    return;
+                }
+                if ((from !== null && time < from) || (to !== null && time > to)) return;
+
+                const key = bucketKey(time, interval);
+                if (!buckets.has(key)) buckets.set(key, emptyCounts());
+                addEpisode(buckets.get(key), patient, episode);
+                addEpisode(total, patient, episode);
+                firstTime = Math.min(firstTime, time);
+                lastTime = Math.max(lastTime, time);
+            });
+    });
+
+    const keys = total.deliveries > 0 ? bucketRange(firstTime, lastTime, interval) : [];
+
+    return {
+        interval,
+        confidence,
+        periods: keys.map((key) => ({
+            period: key,
+            start: new Date(bucketStart(key, interval)).toISOString(),
+            ...summarise(buckets.get(key) || emptyCounts(), confidence),
+        })),
+        total: summarise(total, confidence),
+        excluded,
+    };
+}
@@ -0,0 +1,374 @@
+// patientSearch.js
+//
+// Patient search over the current cache snapshot. The index is rebuilt on
+// every refresh; a request then matches, filters, sorts and pages in memory.
+//
+// Free text (`q`) is split into terms and every term must match one of:
+//   - PATIENT_ID           exact (or prefix for 3+ digits)
+//   - phone number         digits anywhere in the number (4+ digits)
+//   - first / last name    exact, prefix, phonetic key or small edit distance
+//   - address              substring (3+ characters)
+// Phonetic keys fold the spelling variants common in transliterated Indian
+// names (Lakshmi / Laxmi, Mohammed / Muhammad, Sharma / Sarma, Reddy / Reddi).
+//
+// Pages are keyset cursors over (sort value, PATIENT_ID), so a page boundary
+// stays put when the data behind it is refreshed.
+
+import { createHash } from "crypto";
+import { latestVisitOf } from "./clinicalUtils.js";
+
+export const SEARCH_SORT_FIELDS = ["relevance", "name", "id", "age", "ga", "lastVisit"];
+
+const PHONE_COLUMNS = ["PHONE", "PHONE_NUMBER", "MOBILE", "MOBILE_NUMBER", "CONTACT_NUMBER"];
+
+// Score per matched term; a patient's score is the sum over all terms
+const MATCH_SCORES = { id: 100, phone: 90, exact: 50, prefix: 40, phonetic: 30, fuzzy: 20, address: 15 };
+
+let entries = [];
+let builtAt = null;
+
+// =======================
+// 🔤 Name matching
+// =======================
+
+const foldName = (value) =>
+    String(value ?? "")
+        .normalize("NFD")
+        .replace(/[\u0300-\u036f]/g, "")
+        .toLowerCase()
+        .replace(/[^a-z]/g, "");
+
+// Applied in order: letters used interchangeably when transliterating, then
+// aspirated consonants, doubled letters and any remaining "h"
+const PHONETIC_RULES = [
+    [/ksh/g, "ks"], [/x/g, "ks"], [/q/g, "k"], [/ck/g, "k"],
+    [/ph/g, "f"], [/w/g, "v"], [/z/g, "j"],
+    [/chh/g, "c"], [/ch/g, "c"], [/sh/g, "s"],
+    [/th/g, "t"], [/dh/g, "d"], [/bh/g, "b"], [/kh/g, "k"], [/gh/g, "g"], [/jh/g, "j"],
+    [/(.)\1+/g, "$1"],
+    [/(?!^)h/g, ""],
+];
+
+// First letter (any vowel -> "a") + remaining consonants, e.g. "Lakshmi" -> "lksm"
+export function phoneticKey(name) {
+    let value = foldName(name);
+    if (!value) return "";
+    PHONETIC_RULES.forEach(([pattern, replacement]) => {
+        value = value.replace(pattern, replacement);
+    });
+    const head = /[aeiouy]/.test(value[0]) ? "a" : value[0];
+    return (head + value.slice(1).replace(/[aeiouy]/g, "")).replace(/(.)\1+/g, "$1");
+}
+
+// Optimal string alignment distance (adjacent transpositions count as one edit),
+// abandoned as soon as it exceeds maxDistance
+export function editDistance(a, b, maxDistance = Infinity) {
+    if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+    let prevPrev = null;
+    let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const row = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                row[j] = Math.min(row[j], prevPrev[j - 2] + 1);
+            }
+            rowMin = Math.min(rowMin, row[j]);
+        }
+        if (rowMin > maxDistance) return maxDistance + 1;
+        prevPrev = prev;
+        prev = row;
+    }
+    return prev[b.length];
+}
+
+// Typos allowed for a query term of this length
+const allowedEdits = (length) => (length >= 8 ? 2 : length >= 4 ? 1 : 0);
+
+// Best match of one query term against one indexed name token, or null
+function matchNameToken(term, token) {
+    if (token.folded === term.folded) return { type: "exact", score: MATCH_SCORES.exact };
+    if (term.folded.length >= 2 && token.folded.startsWith(term.folded)) {
+        return { type: "prefix", score: MATCH_SCORES.prefix };
+    }
+    if (term.phonetic.length >= 2 && token.phonetic === term.phonetic) {
+        return { type: "phonetic", score: MATCH_SCORES.phonetic };
+    }
+    const maxEdits = allowedEdits(term.folded.length);
+    if (maxEdits > 0) {
+        const distance = editDistance(term.folded, token.folded, maxEdits);
+        if (distance <= maxEdits) return { type: "fuzzy", score: MATCH_SCORES.fuzzy - 5 * (distance - 1) };
+    }
+    return null;
+}
+
+// =======================
+// 🗂️ Index
+// =======================
+
+const patientName = (p) => `${p.FIRST_NAME || ""} ${p.LAST_NAME || ""}`.trim() || "Unknown Name";
+
+// Word tokens of the display name with their character offsets
+function nameTokens(name) {
+    return [...name.matchAll(/[^\s.,'-]+/g)]
+        .map((match) => ({
+            folded: foldName(match[0]),
+            phonetic: phoneticKey(match[0]),
+            start: match.index,
+            end: match.index + match[0].length,
+        }))
+        .filter((token) => token.folded);
+}
+
+const phoneOf = (patient) => PHONE_COLUMNS.map((column) => patient[column]).find((value) => value) ?? null;
+
+function buildEntry(patient, store) {
+    const name = patientName(patient);
+    const phone = phoneOf(patient);
+    const lastVisit = latestVisitOf(store.visitsOf(patient.PATIENT_ID));
+    const lastVisitTime = lastVisit?.VISIT_DATE ? new Date(lastVisit.VISIT_DATE).getTime() : NaN;
+    const age = Number(patient.AGE);
+    const ga = Number(lastVisit?.GESTATIONAL_AGE_WEEKS);
+
+    return {
+        patient,
+        id: String(patient.PATIENT_ID),
+        name,
+        tokens: nameTokens(name),
+        phone,
+        phoneDigits: phone ? String(phone).replace(/\D/g, "") : "",
+        address: patient.ADDRESS ?? null,
+        addressLower: String(patient.ADDRESS ?? "").toLowerCase(),
+        status: store.statusOf(patient.PATIENT_ID)?.status ?? null,
+        age: patient.AGE === null || patient.AGE === undefined || Number.isNaN(age) ? null : age,
+        lastRecordedGA: Number.isNaN(ga) ? null : ga,
+        lastVisitDate: Number.isNaN(lastVisitTime) ? null : new Date(lastVisitTime).toISOString(),
+    };
+}
+
+// store: PatientStore of the main cache (see patientStore.js)
+export function rebuildSearchIndex(store) {
+    const startTime = Date.now();
+    entries = store.patients.map((patient) => buildEntry(patient, store));
+    builtAt = new Date().toISOString();
+    console.log(`🔎 Search index built for ${entries.length} patients in ${Date.now() - startTime}ms`);
+    return entries.length;
+}
+
+// =======================
+// 🎯 Matching
+// =======================
+
+function parseTerms(q) {
+    const text = String(q ?? "").trim();
+    // "+91 98220 14501" is one phone number, not three terms
+    const phoneLike = /^[+\d\s()-]+$/.test(text) && text.replace(/\D/g, "").length >= 4;
+    return (phoneLike ? [text.replace(/\D/g, "")] : text.split(/[\s,]+/))
+        .filter(Boolean)
+        .map((raw) => ({ raw, lower: raw.toLowerCase(), digits: raw.replace(/\D/g, ""), folded: foldName(raw), phonetic: phoneticKey(raw) }));
+}
+
+// Best match of one term against one patient: { score, type, field, ranges } or null
+function matchTerm(term, entry) {
+    const candidates = [];
+
+    if (/^\d+$/.test(term.raw)) {
+        if (entry.id === term.raw) candidates.push({ score: MATCH_SCORES.id, type: "id", field: "PATIENT_ID", ranges: [[0, entry.id.length]] });
+        else if (term.raw.length >= 3 && entry.id.startsWith(term.raw)) {
+            candidates.push({ score: MATCH_SCORES.id / 2, type: "idPrefix", field: "PATIENT_ID", ranges: [[0, term.raw.length]] });
+        }
+    }
+
+    if (term.digits.length >= 4 && term.digits.length === term.raw.replace(/^\+/, "").length && entry.phoneDigits.includes(term.digits)) {
+        candidates.push({ score: MATCH_SCORES.phone, type: "phone", field: "PHONE", ranges: digitRanges(entry.phone, term.digits) });
+    }
+
+    if (term.folded) {
+        entry.tokens.forEach((token) => {
+            const match = matchNameToken(term, token);
+            if (match) candidates.push({ ...match, field: "PATIENT_NAME", ranges: [[token.start, token.end]] });
+        });
+    }
+
+    if (term.lower.length >= 3) {
+        const at = entry.addressLower.indexOf(term.lower);
+        if (at !== -1) candidates.push({ score: MATCH_SCORES.address, type: "address", field: "ADDRESS", ranges: [[at, at + term.lower.length]] });
+    }
+
+    return candidates.reduce((best, c) => (!best || c.score > best.score ? c : best), null);
+}
+
+// Character range in the formatted phone number covering a run of digits
+function digitRanges(phone, digits) {
+    const value = String(phone);
+    const positions = [...value].map((ch, i) => (/\d/.test(ch) ? i : -1)).filter((i) => i !== -1);
+    const at = positions.map((i) => value[i]).join("").indexOf(digits);
+    return [[positions[at], positions[at + digits.length - 1] + 1]];
+}
+
+// Merge per-term matches into one highlight list per field
+function highlightsOf(entry, matches) {
+    const values = { PATIENT_ID: entry.id, PATIENT_NAME: entry.name, PHONE: entry.phone, ADDRESS: entry.address };
+    const byField = new Map();
+    matches.forEach((match) => {
+        if (!byField.has(match.field)) byField.set(match.field, { field: match.field, value: values[match.field], matchTypes: [], ranges: [] });
+        const highlight = byField.get(match.field);
+        if (!highlight.matchTypes.includes(match.type)) highlight.matchTypes.push(match.type);
+        highlight.ranges.push(...match.ranges);
+    });
+    return [...byField.values()].map((highlight) => ({
+        ...highlight,
+        ranges: mergeRanges(highlight.ranges).map(([start, end]) => ({ start, end })),
+    }));
+}
+
+function mergeRanges(ranges) {
+    const sorted = [...ranges].sort((a, b) => a[0] - b[0]);
+    return sorted.reduce((merged, range) => {
+        const last = merged[merged.length - 1];
+        if (last && range[0] <= last[1]) last[1] = Math.max(last[1], range[1]);
+        else merged.push([...range]);
+        return merged;
+    }, []);
+}
+
+// =======================
+// 📄 Sorting and cursors
+// =======================
+
+const SORT_VALUES = {
+    relevance: (hit) => hit.score,
+    name: (hit) => hit.entry.name.toLowerCase(),
+    id: (hit) => (Number.isNaN(Number(hit.entry.id)) ? hit.entry.id : Number(hit.entry.id)),
+    age: (hit) => hit.entry.age,
+    ga: (hit) => hit.entry.lastRecordedGA,
+    lastVisit: (hit) => hit.entry.lastVisitDate,
+};
+
+export const defaultOrder = (sort) => (sort === "relevance" || sort === "lastVisit" ? "desc" : "asc");
+
+// Keys are [value, PATIENT_ID]; missing values sort last in either direction,
+// ties are broken by PATIENT_ID ascending
+function compareKeys([valueA, idA], [valueB, idB], direction) {
+    if (valueA !== valueB) {
+        if (valueA === null) return 1;
+        if (valueB === null) return -1;
+        const diff = typeof valueA === "number" && typeof valueB === "number" ? valueA - valueB : String(valueA).localeCompare(String(valueB));
+        if (diff !== 0) return direction * diff;
+    }
+    return idA.localeCompare(idB, undefined, { numeric: true });
+}
+
+// Cursors only apply to the query (and sort) that produced them
+function queryFingerprint(query) {
+    const { cursor, limit, ...rest } = query;
+    return createHash("sha1").update(JSON.stringify(rest, Object.keys(rest).sort())).digest("base64url").slice(0, 12);
+}
+
+const encodeCursor = (fingerprint, key) => Buffer.from(JSON.stringify({ f: fingerprint, k: key })).toString("base64url");
+
+const cursorError = (message) => Object.assign(new Error(message), { code: "INVALID_CURSOR" });
+
+function decodeCursor(cursor, fingerprint) {
+    let decoded;
+    try {
+        decoded = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+    } catch {
+        throw cursorError("cursor is not valid");
+    }
+    if (!Array.isArray(decoded?.k) || decoded.k.length !== 2 || typeof decoded.k[1] !== "string") {
+        throw cursorError("cursor is not valid");
+    }
+    if (decoded.f !== fingerprint) throw cursorError("cursor belongs to a different search - start again without it");
+    return decoded.k;
+}
+
+// =======================
+// 🔍 Search
+// =======================
+
+// query: { q, id, phone, address, statuses[], sourceSchema, bmiStatus, ageMin, ageMax,
+//          gaMin, gaMax, sort, order, limit, cursor }
+// Throws an error with code "INVALID_CURSOR" for a cursor that does not belong to this query.
+export function searchPatients(query = {}) {
+    const {
+        q = "",
+        id = null,
+        phone = null,
+        address = null,
+        statuses = [],
+        sourceSchema = null,
+        bmiStatus = null,
+        ageMin = null,
+        ageMax = null,
+        gaMin = null,
+        gaMax = null,
+        limit = 20,
+        cursor = null,
+    } = query;
+    const terms = parseTerms(q);
+    const sort = query.sort || (terms.length > 0 ? "relevance" : "name");
+    const order = query.order || defaultOrder(sort);
+    const fingerprint = queryFingerprint({ ...query, sort, order });
+    const after = cursor ? decodeCursor(cursor, fingerprint) : null;
+
+    const phoneDigits = phone ? String(phone).replace(/\D/g, "") : null;
+    const addressTerms = address ? String(address).toLowerCase().split(/[\s,]+/).filter(Boolean) : [];
+    const schemaFilter = sourceSchema ? String(sourceSchema).trim().toLowerCase() : null;
+    const bmiFilter = bmiStatus ? String(bmiStatus).trim().toLowerCase() : null;
+
+    const hits = [];
+    entries.forEach((entry) => {
+        const { patient } = entry;
+        if (id !== null && entry.id !== String(id).trim()) return;
+        if (phoneDigits && !entry.phoneDigits.includes(phoneDigits)) return;
+        if (!addressTerms.every((t) => entry.addressLower.includes(t))) return;
+        if (statuses.length > 0 && !statuses.includes(entry.status)) return;
+        if (schemaFilter && String(patient.SOURCE_SCHEMA ?? "").trim().toLowerCase() !== schemaFilter) return;
+        if (bmiFilter && String(patient.BMI_STATUS ?? "").trim().toLowerCase() !== bmiFilter) return;
+        if (ageMin !== null && !(entry.age !== null && entry.age >= ageMin)) return;
+        if (ageMax !== null && !(entry.age !== null && entry.age <= ageMax)) return;
+        if (gaMin !== null && !(entry.lastRecordedGA !== null && entry.lastRecordedGA >= gaMin)) return;
+        if (gaMax !== null && !(entry.lastRecordedGA !== null && entry.lastRecordedGA <= gaMax)) return;
+
+        const matches = [];
+        for (const term of terms) {
+            const match = matchTerm(term, entry);
+            if (!match) return;
+            matches.push(match);
+        }
+        hits.push({ entry, matches, score: matches.reduce((sum, m) => sum + m.score, 0) });
+    });
+
+    const direction = order === "asc" ? 1 : -1;
+    const keyOf = (hit) => [SORT_VALUES[sort](hit) ?? null, hit.entry.id];
+    hits.sort((a, b) => compareKeys(keyOf(a), keyOf(b), direction));
+
+    const start = after ? hits.findIndex((hit) => compareKeys(keyOf(hit), after, direction) > 0) : 0;
+    const page = start === -1 ? [] : hits.slice(start, start + limit);
+    const hasMore = start !== -1 && start + limit < hits.length;
+
+    return {
+        items: page.map((hit) => ({
+            PATIENT_ID: hit.entry.patient.PATIENT_ID,
+            PATIENT_NAME: hit.entry.name,
+            AGE: hit.entry.age,
+            PHONE: hit.entry.phone,
+            ADDRESS: hit.entry.address,
+            SOURCE_SCHEMA: hit.entry.patient.SOURCE_SCHEMA ?? null,
+            BMI_STATUS: hit.entry.patient.BMI_STATUS ?? null,
+            PREGNANCY_STATUS: hit.entry.status,
+            lastRecordedGA: hit.entry.lastRecordedGA,
+            lastVisitDate: hit.entry.lastVisitDate,
+            score: terms.length > 0 ? hit.score : null,
+            highlights: highlightsOf(hit.entry, hit.matches),
+        })),
+        total: hits.length,
+        sort,
+        order,
+        nextCursor: hasMore ? encodeCursor(fingerprint, keyOf(page[page.length - 1])) : null,
+        builtAt,
+    };
+}
@@ -0,0 +1,173 @@
+// patientStore.js
+//
+// Indexed, read-only view over one cache snapshot. Built once per refresh so
+// routes look rows up by key instead of scanning the full arrays.
+//
+//   primary:   PATIENT_ID -> patient, visits, deliveries, babies (and, lazily,
+//              pregnancy episodes - see pregnancyEpisodes.js)
+//   secondary: ADDRESS, SOURCE_SCHEMA, BMI_STATUS, pregnancy status -> patients
+//              VISIT_DATE (local calendar day) -> visits
+//              gazetteer area code (district / block / village) -> patients
+//
+// Secondary lookups are case-insensitive and ignore surrounding whitespace.
+
+import { groupByPatientId } from "./clinicalUtils.js";
+import { linkPregnancyEpisodes } from "./pregnancyEpisodes.js";
+import { areaCodesOf, resolveAddressCached } from "./gazetteer.js";
+
+const EMPTY = Object.freeze([]);
+
+const patientKey = (id) => String(id ?? "").trim();
+const indexKey = (value) => String(value ?? "").trim().toLowerCase();
+
+// Local calendar day, matching `new Date(...).toDateString()` comparisons
+export function dayKey(value) {
+    if (value === null || value === undefined || value === "") return null;
+    const date = value instanceof Date ? value : new Date(value);
+    if (Number.isNaN(date.getTime())) return null;
+    const pad = (n) => String(n).padStart(2, "0");
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function indexBy(rows, keyOf) {
+    const map = new Map();
+    rows.forEach((row) => {
+        const key = keyOf(row);
+        if (key === null || key === "") return;
+        if (!map.has(key)) map.set(key, []);
+        map.get(key).push(row);
+    });
+    return map;
+}
+
+export class PatientStore {
+    // statuses: optional Map PATIENT_ID -> { status, reason } (see pregnancyStatus.js)
+    constructor({ patients = [], visits = [], deliveries = [], babies = [] } = {}, { statuses = new Map() } = {}) {
+        this.patients = patients;
+        this.visits = visits;
+        this.deliveries = deliveries;
+        this.babies = babies;
+
+        this.patientsById = new Map(patients.map((p) => [patientKey(p.PATIENT_ID), p]));
+        this.visitsByPatient = groupByPatientId(visits);
+        this.deliveriesByPatient = groupByPatientId(deliveries);
+        this.babiesByPatient = groupByPatientId(babies);
+
+        this.byAddress = indexBy(patients, (p) => indexKey(p.ADDRESS));
+        this.bySourceSchema = indexBy(patients, (p) => indexKey(p.SOURCE_SCHEMA));
+        this.byBmiStatus = indexBy(patients, (p) => indexKey(p.BMI_STATUS));
+        this.visitsByDay = indexBy(visits, (v) => dayKey(v.VISIT_DATE));
+
+        // ⭐️ A patient is listed under her village/ward and every ancestor area
+        this.byArea = new Map();
+        patients.forEach((p) => {
+            areaCodesOf(p.ADDRESS).forEach((code) => {
+                if (!this.byArea.has(code)) this.byArea.set(code, []);
+                this.byArea.get(code).push(p);
+            });
+        });
+
+        this.statuses = statuses;
+        this.episodesByPatient = new Map();
+        this.byStatus = indexBy(patients, (p) => statuses.get(patientKey(p.PATIENT_ID))?.status ?? null);
+    }
+
+    static empty() {
+        return new PatientStore();
+    }
+
+    get size() {
+        return this.patientsById.size;
+    }
+
+    has(patientId) {
+        return this.patientsById.has(patientKey(patientId));
+    }
+
+    getPatient(patientId) {
+        return this.patientsById.get(patientKey(patientId)) || null;
+    }
+
+    visitsOf(patientId) {
+        return this.visitsByPatient.get(patientKey(patientId)) || EMPTY;
+    }
+
+    deliveriesOf(patientId) {
+        return this.deliveriesByPatient.get(patientKey(patientId)) || EMPTY;
+    }
+
+    babiesOf(patientId) {
+        return this.babiesByPatient.get(patientKey(patientId)) || EMPTY;
+    }
+
+    // Pregnancy episodes (delivery + babies + antenatal visits), linked on first use
+    episodesOf(patientId) {
+        const key = patientKey(patientId);
+        if (!this.episodesByPatient.has(key)) {
+            this.episodesByPatient.set(key, linkPregnancyEpisodes({
+                visits: this.visitsOf(key),
+                deliveries: this.deliveriesOf(key),
+                babies: this.babiesOf(key),
+            }));
+        }
+        return this.episodesByPatient.get(key);
+    }
+
+    patientsByAddress(address) {
+        return this.byAddress.get(indexKey(address)) || EMPTY;
+    }
+
+    patientsBySourceSchema(sourceSchema) {
+        return this.bySourceSchema.get(indexKey(sourceSchema)) || EMPTY;
+    }
+
+    patientsByBmiStatus(bmiStatus) {
+        return this.byBmiStatus.get(indexKey(bmiStatus)) || EMPTY;
+    }
+
+    // Gazetteer codes are matched exactly (e.g. "MH-PUN")
+    patientsByArea(code) {
+        return this.byArea.get(String(code ?? "").trim()) || EMPTY;
+    }
+
+    // Resolved place of the patient's ADDRESS (see gazetteer.js)
+    areaOf(patientId) {
+        const patient = this.getPatient(patientId);
+        return patient ? resolveAddressCached(patient.ADDRESS) : null;
+    }
+
+    statusOf(patientId) {
+        return this.statuses.get(patientKey(patientId)) || null;
+    }
+
+    patientsByStatus(status) {
+        return this.byStatus.get(status) || EMPTY;
+    }
+
+    visitsOn(date = new Date()) {
+        return this.visitsByDay.get(dayKey(date)) || EMPTY;
+    }
+
+    // Distinct non-empty addresses as recorded (first spelling wins), sorted
+    addresses() {
+        return [...this.byAddress.values()].map((patients) => patients[0].ADDRESS.trim()).sort();
+    }
+
+    // Store over a subset of patients, keeping their statuses
+    subset(patients) {
+        return new PatientStore(this.recordsFor(patients), { statuses: this.statuses });
+    }
+
+    // Rows belonging to a set of patients, in the same shape as the store input
+    recordsFor(patients) {
+        const ids = [...new Set(patients.map((p) => patientKey(p.PATIENT_ID)))];
+        return {
+            patients,
+            visits: ids.flatMap((id) => this.visitsOf(id)),
+            deliveries: ids.flatMap((id) => this.deliveriesOf(id)),
+            babies: ids.flatMap((id) => this.babiesOf(id)),
+        };
+    }
+}
+
+export default PatientStore;
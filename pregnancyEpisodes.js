@@ -0,0 +1,173 @@
+// pregnancyEpisodes.js
+//
+// Splits one patient's records into pregnancy episodes (mother-baby dyads):
+// each delivery with every baby born from it and the antenatal visits that
+// led up to it, plus a "current" episode for a pregnancy after the last
+// delivery.
+//
+// Babies are linked to a delivery by, in order:
+//   1. DELIVERY_ID on the baby row
+//   2. a birth date within a day of the delivery date
+//   3. the patient's only delivery
+// Anything else is reported as unlinked rather than guessed. Delivery rows
+// dated within a day of each other (some sources write one row per baby of a
+// multiple birth) are treated as one delivery.
+//
+// A dated visit belongs to the first delivery on or after it, if it falls
+// within MAX_PREGNANCY_WEEKS of that delivery. Visits after the last delivery
+// start a new pregnancy only when their GA fits in the time since delivery;
+// otherwise they are postnatal visits of that delivery.
+//
+// A delivery row without a DELIVERY_DATE still closes a pregnancy: it never
+// leaves a "current" episode behind. When it is the patient's only undated
+// delivery, the visits no dated delivery claims belong to it; with several
+// undated deliveries those visits are reported as unlinked.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_PREGNANCY_WEEKS = 45;
+
+const BABY_DATE_COLUMNS = ["BIRTH_DATE", "DATE_OF_BIRTH", "DOB", "DELIVERY_DATE"];
+const PLURALITY_COLUMNS = ["NUMBER_OF_BABIES", "PLURALITY", "BABY_COUNT"];
+
+const timeOf = (value) => {
+    if (value === null || value === undefined || value === "") return NaN;
+    return new Date(value).getTime();
+};
+const hasId = (value) => value !== null && value !== undefined && value !== "";
+const babyTime = (baby) => timeOf(BABY_DATE_COLUMNS.map((column) => baby[column]).find(hasId));
+const sameDay = (a, b) => !Number.isNaN(a) && !Number.isNaN(b) && Math.abs(a - b) <= DAY_MS;
+
+// Delivery rows -> [{ records, time }] in date order (undated deliveries last)
+function groupDeliveries(deliveries) {
+    const sorted = [...deliveries].sort((a, b) => {
+        const [ta, tb] = [timeOf(a.DELIVERY_DATE), timeOf(b.DELIVERY_DATE)];
+        if (Number.isNaN(ta) || Number.isNaN(tb)) return Number.isNaN(ta) - Number.isNaN(tb);
+        return ta - tb;
+    });
+    return sorted.reduce((groups, record) => {
+        const time = timeOf(record.DELIVERY_DATE);
+        const last = groups[groups.length - 1];
+        if (last && sameDay(last.time, time)) last.records.push(record);
+        else groups.push({ records: [record], time });
+        return groups;
+    }, []);
+}
+
+function linkBaby(baby, groups) {
+    if (hasId(baby.DELIVERY_ID)) {
+        const group = groups.find((g) => g.records.some((d) => String(d.DELIVERY_ID) === String(baby.DELIVERY_ID)));
+        return group ? { group, method: "DELIVERY_ID" } : null;
+    }
+    const time = babyTime(baby);
+    const byDate = groups.filter((g) => sameDay(g.time, time));
+    if (byDate.length === 1) return { group: byDate[0], method: "birthDate" };
+    if (groups.length === 1 && Number.isNaN(time)) return { group: groups[0], method: "onlyDelivery" };
+    return null;
+}
+
+// A visit after a delivery is a new pregnancy only if its GA fits since then
+const isNewPregnancy = (visit, deliveryTime) => {
+    const ga = Number(visit.GESTATIONAL_AGE_WEEKS);
+    if (Number.isNaN(deliveryTime)) return true;
+    return !Number.isNaN(ga) && ga * 7 * DAY_MS <= timeOf(visit.VISIT_DATE) - deliveryTime;
+};
+
+const byVisitOrder = (a, b) =>
+    (timeOf(a.VISIT_DATE) || 0) - (timeOf(b.VISIT_DATE) || 0) ||
+    Number(a.GESTATIONAL_AGE_WEEKS) - Number(b.GESTATIONAL_AGE_WEEKS);
+
+function assignVisits(visits, groups, current) {
+    const unlinked = [];
+    const dated = groups.filter((g) => !Number.isNaN(g.time));
+    const lastDelivery = dated[dated.length - 1];
+    const undatedDeliveries = groups.filter((g) => Number.isNaN(g.time));
+    const undated = [];
+
+    visits.forEach((visit) => {
+        const time = timeOf(visit.VISIT_DATE);
+        if (Number.isNaN(time)) {
+            undated.push(visit);
+            return;
+        }
+        const group = dated.find((g) => time <= g.time + DAY_MS);
+        if (group) {
+            if (group.time - time <= MAX_PREGNANCY_WEEKS * 7 * DAY_MS) group.visits.push(visit);
+            else unlinked.push(visit);
+        } else if (lastDelivery && !isNewPregnancy(visit, lastDelivery.time)) {
+            lastDelivery.postnatalVisits.push(visit);
+        } else if (undatedDeliveries.length === 1) {
+            undatedDeliveries[0].visits.push(visit);
+        } else if (undatedDeliveries.length > 1) {
+            unlinked.push(visit);
+        } else {
+            current.visits.push(visit);
+        }
+    });
+
+    // Undated visits are only placed when there is a single candidate episode
+    const candidates = current.visits.length > 0 || groups.length === 0 ? [...groups, current] : groups;
+    undated.forEach((visit) => {
+        if (candidates.length === 1) candidates[0].visits.push(visit);
+        else unlinked.push(visit);
+    });
+    return unlinked;
+}
+
+const isoDate = (time) => (Number.isNaN(time) ? null : new Date(time).toISOString());
+
+function expectedBabies(records) {
+    const counts = records
+        .flatMap((d) => PLURALITY_COLUMNS.map((column) => Number(d[column])))
+        .filter((n) => Number.isInteger(n) && n > 0);
+    return counts.length > 0 ? Math.max(...counts) : null;
+}
+
+function toEpisode(group, index) {
+    const delivery = group.records?.[0] ?? null;
+    const visits = [...group.visits].sort(byVisitOrder);
+    return {
+        episode: index + 1,
+        current: !delivery,
+        deliveryId: delivery?.DELIVERY_ID ?? null,
+        deliveryDate: delivery ? isoDate(group.time) : null,
+        delivery,
+        deliveryRecords: group.records || [],
+        babies: group.babies.map(({ baby }) => baby),
+        babyLinks: group.babies.map(({ baby, method }) => ({ BABY_ID: baby.BABY_ID ?? null, linkedBy: method })),
+        plurality: delivery ? group.babies.length : null,
+        expectedBabies: delivery ? expectedBabies(group.records) : null,
+        visits,
+        postnatalVisits: [...(group.postnatalVisits || [])].sort(byVisitOrder),
+        firstVisitDate: isoDate(timeOf(visits[0]?.VISIT_DATE)),
+        lastVisitDate: isoDate(timeOf(visits[visits.length - 1]?.VISIT_DATE)),
+    };
+}
+
+// records: { visits, deliveries, babies } of one patient
+// -> { episodes (oldest first, current pregnancy last), unlinkedBabies, unlinkedVisits }
+export function linkPregnancyEpisodes({ visits = [], deliveries = [], babies = [] } = {}) {
+    const groups = groupDeliveries(deliveries).map((g) => ({ ...g, visits: [], postnatalVisits: [], babies: [] }));
+    const current = { visits: [], babies: [] };
+
+    const unlinkedBabies = [];
+    babies.forEach((baby) => {
+        const link = linkBaby(baby, groups);
+        if (link) link.group.babies.push({ baby, method: link.method });
+        else unlinkedBabies.push(baby);
+    });
+
+    const unlinkedVisits = assignVisits(visits, groups, current);
+
+    const withCurrent = current.visits.length > 0 || (groups.length === 0 && visits.length > 0) ? [...groups, current] : groups;
+    return {
+        episodes: withCurrent.map(toEpisode),
+        unlinkedBabies,
+        unlinkedVisits: unlinkedVisits.sort(byVisitOrder),
+    };
+}
+
+// Most recent episode (the current pregnancy if there is one), or null
+export function latestEpisode(records) {
+    const { episodes } = linkPregnancyEpisodes(records);
+    return episodes[episodes.length - 1] ?? null;
+}
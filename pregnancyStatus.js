@@ -0,0 +1,125 @@
+// pregnancyStatus.js
+//
+// Explicit pregnancy status per patient, derived from one cache snapshot and
+// the patient's latest pregnancy episode (see pregnancyEpisodes.js), so a
+// new pregnancy after an earlier delivery counts as ongoing:
+//   - "loss":      a delivery/baby record records a stillbirth,
+//                  miscarriage, IUFD, ...; with several babies, only when
+//                  every baby is recorded as a loss
+//   - "delivered": any other delivery on record
+//   - "ongoing":   no delivery recorded
+// Visit COMPLICATIONS alone never make a loss: "threatened miscarriage" or
+// "ectopic ruled out" are notes about a pregnancy that is still going on,
+// and dropping such a patient from the ongoing cache would hide her from the
+// worklist, alerts and schedule.
+// Refreshes compare the new statuses with the previous snapshot and emit a
+// transition event for every patient whose status changed.
+
+import { EventEmitter } from "events";
+import { groupByPatientId, joinText, findMention } from "./clinicalUtils.js";
+import { latestEpisode } from "./pregnancyEpisodes.js";
+
+export const PREGNANCY_STATUSES = ["ongoing", "delivered", "loss"];
+
+const LOSS_TERMS = [
+    "stillbirth", "still birth", "stillborn", "still born",
+    "miscarriage", "spontaneous abortion", "missed abortion", "incomplete abortion", "complete abortion",
+    "iufd", "intrauterine fetal death", "intrauterine death", "fetal demise", "foetal demise",
+    "ectopic pregnancy",
+];
+
+// Suspected or excluded, not a loss: "threatened miscarriage", "ectopic ruled out", "r/o IUFD"
+const NOT_A_LOSS_PATTERNS = [
+    /\bthreatened\s+(miscarriage|abortion)\b/gi,
+    /[^.,;]*\b(ruled out|rule out|r\/o|excluded)\b[^.,;]*/gi,
+];
+
+const findLoss = (text) => findMention(NOT_A_LOSS_PATTERNS.reduce((rest, pattern) => rest.replace(pattern, " "), text || ""), LOSS_TERMS);
+
+const MAX_TRANSITIONS = 1000;
+const transitions = [];
+
+// Subscribe with lifecycleEvents.on("transition", (event) => ...)
+export const lifecycleEvents = new EventEmitter();
+
+const deliveryText = (d) => joinText(d.DELIVERY_MODE, d.DELIVERY_OUTCOME, d.OUTCOME, d.DELIVERY_COMPLICATIONS);
+const babyText = (b) => joinText(b.BABY_STATUS, b.BIRTH_OUTCOME, b.OUTCOME, b.STATUS);
+
+// records: { deliveries, babies } of one patient -> { status, reason }
+export function derivePregnancyStatus({ deliveries = [], babies = [] } = {}) {
+    for (const delivery of deliveries) {
+        const term = findLoss(deliveryText(delivery));
+        if (term) return { status: "loss", reason: `delivery record mentions ${term}` };
+    }
+
+    const babyTerms = babies.map((b) => findLoss(babyText(b)));
+    if (babies.length > 0 && babyTerms.every(Boolean)) {
+        return { status: "loss", reason: `every baby recorded as ${babyTerms[0]}` };
+    }
+
+    if (deliveries.length > 0) return { status: "delivered", reason: "delivery recorded" };
+
+    return { status: "ongoing", reason: "no delivery recorded" };
+}
+
+// Status of one episode returned by linkPregnancyEpisodes
+export function episodeStatus(episode) {
+    return derivePregnancyStatus({ deliveries: episode.deliveryRecords, babies: episode.babies });
+}
+
+// data: { patients, visits, deliveries, babies } -> Map PATIENT_ID -> { status, reason }
+export function derivePregnancyStatuses(data) {
+    const visits = groupByPatientId(data.visits);
+    const deliveries = groupByPatientId(data.deliveries);
+    const babies = groupByPatientId(data.babies);
+
+    return new Map((data.patients || []).map((patient) => {
+        const key = String(patient.PATIENT_ID);
+        const episode = latestEpisode({
+            visits: visits.get(key),
+            deliveries: deliveries.get(key),
+            babies: babies.get(key),
+        });
+        return [key, episode ? episodeStatus(episode) : derivePregnancyStatus()];
+    }));
+}
+
+// Status changes between two snapshots. Patients that appear for the first
+// time are reported with `from: null`; nothing is reported on the first load.
+export function detectTransitions(previous, next, detectedAt = new Date().toISOString()) {
+    if (!previous || previous.size === 0) return [];
+    const events = [];
+    next.forEach((current, patientId) => {
+        const before = previous.get(patientId);
+        if (before?.status === current.status) return;
+        events.push({
+            type: "pregnancyStatusChanged",
+            patientId,
+            from: before?.status ?? null,
+            to: current.status,
+            reason: current.reason,
+            detectedAt,
+        });
+    });
+    return events;
+}
+
+export function recordTransitions(events) {
+    events.forEach((event) => {
+        transitions.push(event);
+        lifecycleEvents.emit("transition", event);
+    });
+    if (transitions.length > MAX_TRANSITIONS) transitions.splice(0, transitions.length - MAX_TRANSITIONS);
+    return events.length;
+}
+
+// Newest first
+export function listTransitions({ patientId = null, to = null, since = null, limit = 100 } = {}) {
+    const sinceTime = since ? new Date(since).getTime() : null;
+    return transitions
+        .filter((e) => patientId === null || e.patientId === String(patientId))
+        .filter((e) => to === null || e.to === to)
+        .filter((e) => sinceTime === null || new Date(e.detectedAt).getTime() > sinceTime)
+        .slice(-limit)
+        .reverse();
+}
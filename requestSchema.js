@@ -0,0 +1,170 @@
+// requestSchema.js
+//
+// Declarative request validation. A route schema describes its path params,
+// query string and JSON body with a subset of JSON Schema (the same dialect
+// OpenAPI 3.1 uses):
+//
+//   validateRequest({
+//       params: { type: "object", properties: { id: { type: "integer", minimum: 1 } }, required: ["id"] },
+//       query:  { type: "object", properties: { limit: { type: "integer", maximum: 100, default: 20 } } },
+//       body:   { type: "object", properties: { ... }, additionalProperties: false },
+//   })
+//
+// Supported keywords: type (string, number, integer, boolean, array, object,
+// null - or a list of them), enum, default, minimum, maximum,
+// exclusiveMinimum, exclusiveMaximum, minLength, maxLength, pattern,
+// format (date, date-time), items, minItems, maxItems, properties, required,
+// additionalProperties.
+//
+// Params and query values arrive as strings and are coerced to the declared
+// type ("20" -> 20, "true" -> true, "a,b" -> ["a", "b"]); body values must
+// already have the right JSON type. The validated values, with defaults
+// filled in, replace req.params / req.query / req.body. Any failure answers
+// 400 VALIDATION_ERROR listing every problem (apiErrors.js).
+
+import { sendError } from "./apiErrors.js";
+
+export const REQUEST_LOCATIONS = ["params", "query", "body"];
+
+const typesOf = (schema) => (schema.type === undefined ? [] : [].concat(schema.type));
+
+function typeMatches(type, value) {
+    switch (type) {
+        case "null": return value === null;
+        case "string": return typeof value === "string";
+        case "boolean": return typeof value === "boolean";
+        case "number": return typeof value === "number" && Number.isFinite(value);
+        case "integer": return Number.isInteger(value);
+        case "array": return Array.isArray(value);
+        case "object": return value !== null && typeof value === "object" && !Array.isArray(value);
+        default: return true;
+    }
+}
+
+// String from a URL -> the declared type, or the string unchanged when it does not convert
+function coerce(schema, value) {
+    if (typeof value !== "string") return value;
+    const types = typesOf(schema);
+    if (types.includes("string")) return value;
+    if (types.includes("array")) return value === "" ? [] : value.split(",").map((item) => item.trim());
+    if ((types.includes("integer") || types.includes("number")) && value.trim() !== "" && !Number.isNaN(Number(value))) {
+        return Number(value);
+    }
+    if (types.includes("boolean") && ["true", "false", "1", "0"].includes(value)) return value === "true" || value === "1";
+    if (types.includes("null") && value === "null") return null;
+    return value;
+}
+
+function describeType(schema) {
+    return typesOf(schema).join(" or ");
+}
+
+// -> validated value (defaults applied, URL values coerced); problems are pushed to `errors`
+function check(schema, value, { location, field, fromUrl, errors }) {
+    const fail = (message) => errors.push({ location, field: field || null, message });
+    const nested = (child, childField, childValue) =>
+        check(child, childValue, { location, field: childField, fromUrl, errors });
+
+    if (value === undefined) {
+        return schema.default !== undefined ? structuredClone(schema.default) : undefined;
+    }
+    if (fromUrl) value = coerce(schema, value);
+
+    const types = typesOf(schema);
+    if (types.length > 0 && !types.some((type) => typeMatches(type, value))) {
+        fail(`must be ${/^[aeiou]/.test(describeType(schema)) ? "an" : "a"} ${describeType(schema)}`);
+        return value;
+    }
+    if (value === null) return value;
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        fail(`must be one of: ${schema.enum.join(", ")}`);
+    }
+
+    if (typeof value === "number") {
+        if (schema.minimum !== undefined && value < schema.minimum) fail(`must be at least ${schema.minimum}`);
+        if (schema.maximum !== undefined && value > schema.maximum) fail(`must be at most ${schema.maximum}`);
+        if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) fail(`must be greater than ${schema.exclusiveMinimum}`);
+        if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) fail(`must be less than ${schema.exclusiveMaximum}`);
+    }
+
+    if (typeof value === "string") {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            fail(schema.minLength === 1 ? "must not be empty" : `must be at least ${schema.minLength} characters`);
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) fail(`must be at most ${schema.maxLength} characters`);
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) fail(`must match ${schema.pattern}`);
+        if ((schema.format === "date" || schema.format === "date-time") && Number.isNaN(new Date(value).getTime())) {
+            fail("must be a valid date");
+        }
+    }
+
+    if (Array.isArray(value)) {
+        const items = (count) => `${count} item${count === 1 ? "" : "s"}`;
+        if (schema.minItems !== undefined && value.length < schema.minItems) fail(`must have at least ${items(schema.minItems)}`);
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) fail(`must have at most ${items(schema.maxItems)}`);
+        if (schema.items) {
+            return value.map((item, i) => nested(schema.items, `${field || ""}[${i}]`, item));
+        }
+        return value;
+    }
+
+    if (typeMatches("object", value) && (schema.properties || schema.required || schema.additionalProperties !== undefined)) {
+        const properties = schema.properties || {};
+        const childField = (key) => (field ? `${field}.${key}` : key);
+        const out = {};
+
+        (schema.required || []).forEach((key) => {
+            if (value[key] === undefined) errors.push({ location, field: childField(key), message: "is required" });
+        });
+        Object.entries(value).forEach(([key, childValue]) => {
+            if (properties[key]) return;
+            if (schema.additionalProperties === false) {
+                errors.push({ location, field: childField(key), message: "is not allowed" });
+            } else if (typeof schema.additionalProperties === "object") {
+                out[key] = nested(schema.additionalProperties, childField(key), childValue);
+            } else {
+                out[key] = childValue;
+            }
+        });
+        Object.entries(properties).forEach(([key, child]) => {
+            const checked = nested(child, childField(key), value[key]);
+            if (checked !== undefined) out[key] = checked;
+        });
+        return out;
+    }
+    return value;
+}
+
+// schema -> { value, errors } for one request location
+export function validateValue(schema, value, { location = "body", fromUrl = location !== "body" } = {}) {
+    const errors = [];
+    const checked = check(schema, value, { location, field: "", fromUrl, errors });
+    return { value: checked, errors };
+}
+
+// Route middleware; the schema stays on the function (`.schema`) for API docs
+export function validateRequest(schema) {
+    const middleware = (req, res, next) => {
+        const errors = [];
+        const validated = {};
+        REQUEST_LOCATIONS.filter((location) => schema[location]).forEach((location) => {
+            // A missing JSON body is an empty object, so "required" reports the missing fields
+            const input = location === "body" ? req.body ?? {} : req[location];
+            const result = validateValue(schema[location], input, { location });
+            errors.push(...result.errors);
+            validated[location] = result.value;
+        });
+
+        if (errors.length > 0) {
+            const first = errors[0];
+            const message = `${first.location}${first.field ? `.${first.field}` : ""} ${first.message}`
+                .replace(/\.\[/g, "[");
+            return sendError(res, "VALIDATION_ERROR", message, { details: errors });
+        }
+        Object.assign(req, validated);
+        next();
+    };
+    middleware.schema = schema;
+    return middleware;
+}
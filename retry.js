@@ -0,0 +1,47 @@
+// retry.js
+//
+// Retry with exponential backoff (full jitter) and promise timeouts, shared
+// by the data-source adapters and the startup connect loop.
+
+export const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// attempt 1 -> up to base, attempt 2 -> up to 2*base, ... capped at max
+export function backoffDelay(attempt, { baseDelayMs = 500, maxDelayMs = 30000, random = Math.random } = {}) {
+    const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** Math.max(0, attempt - 1));
+    return Math.round(ceiling * (0.5 + random() / 2));
+}
+
+// Runs fn(attempt) until it resolves, shouldRetry(err) is false or `retries`
+// extra attempts are used up. onRetry(err, attempt, delayMs) is called before each wait.
+export async function withRetry(fn, {
+    retries = 3,
+    baseDelayMs = 500,
+    maxDelayMs = 30000,
+    shouldRetry = () => true,
+    onRetry = null,
+} = {}) {
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await fn(attempt);
+        } catch (err) {
+            if (attempt > retries || !shouldRetry(err)) throw err;
+            const delayMs = backoffDelay(attempt, { baseDelayMs, maxDelayMs });
+            onRetry?.(err, attempt, delayMs);
+            await sleep(delayMs);
+        }
+    }
+}
+
+// Rejects with err.code = "TIMEOUT" when the promise takes longer than ms.
+// onTimeout runs first, e.g. to cancel the underlying work.
+export function withTimeout(promise, ms, { message = `Timed out after ${ms}ms`, onTimeout = null } = {}) {
+    if (!(ms > 0)) return promise;
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => {
+            onTimeout?.();
+            reject(Object.assign(new Error(message), { code: "TIMEOUT" }));
+        }, ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
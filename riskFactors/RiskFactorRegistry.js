@@ -0,0 +1,76 @@
+// riskFactors/RiskFactorRegistry.js
+//
+// A risk factor is a plain object:
+//   {
+//     key: "anemia",                  // key used in riskScores
+//     label: "anemia",                // human readable name used in summaries
+//     inputs: ["HEMOGLOBIN_LEVEL"],   // visit / patient columns the factor reads
+//     weights: {
+//       deliveryType: 1,              // weight in the overall (preterm / mortality) risk
+//       deliveryMode: 0,              // contribution to C-section probability
+//     },
+//     presenceOnly: false,            // true: scores 0 unless its finding is recorded
+//     evaluate(context) { return { score, band }; }
+//   }
+//
+// `score` is 0..1, `band` names the threshold band that fired.
+//
+// A presenceOnly factor (e.g. twins, previous C-section) only counts towards
+// the overall risk when it scores above 0, so adding one does not dilute
+// the overall risk of every patient without that finding.
+//
+// Factors should read data through the context accessors (visitValue,
+// patientValue, visitTexts, parseBloodPressure) rather than the raw
+// objects, so the inputs show up in the prediction's `explanation`.
+
+export class RiskFactorRegistry {
+    constructor(factors = []) {
+        this.factors = new Map();
+        factors.forEach((factor) => this.register(factor));
+    }
+
+    register(factor) {
+        if (!factor || typeof factor.key !== "string" || !factor.key) {
+            throw new Error("Risk factor must have a string 'key'");
+        }
+        if (typeof factor.evaluate !== "function") {
+            throw new Error(`Risk factor '${factor.key}' must implement evaluate(context)`);
+        }
+
+        this.factors.set(factor.key, {
+            label: factor.key,
+            inputs: [],
+            presenceOnly: false,
+            ...factor,
+            weights: {
+                deliveryType: 1,
+                deliveryMode: 0,
+                ...(factor.weights || {}),
+            },
+        });
+        return this;
+    }
+
+    unregister(key) {
+        return this.factors.delete(key);
+    }
+
+    has(key) {
+        return this.factors.has(key);
+    }
+
+    get(key) {
+        return this.factors.get(key);
+    }
+
+    list() {
+        return [...this.factors.values()];
+    }
+
+    // Copy that can be extended without touching the original registry
+    clone() {
+        return new RiskFactorRegistry(this.list());
+    }
+}
+
+export default RiskFactorRegistry;
@@ -0,0 +1,17 @@
+// riskFactors/anemia.js
+
+export default {
+    key: "anemia",
+    label: "anemia",
+    inputs: ["HEMOGLOBIN_LEVEL"],
+    weights: { deliveryType: 1, deliveryMode: 0 },
+
+    evaluate(context) {
+        const hb = context.visitValue("HEMOGLOBIN_LEVEL");
+        if (!hb) return { score: 0, band: "no haemoglobin recorded" };
+
+        if (hb < 10) return { score: 0.8, band: "Hb < 10 g/dL" };
+        if (hb < 11) return { score: 0.4, band: "Hb 10-11 g/dL" };
+        return { score: 0.1, band: "Hb >= 11 g/dL" };
+    },
+};
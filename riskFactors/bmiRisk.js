@@ -0,0 +1,17 @@
+// riskFactors/bmiRisk.js
+
+export default {
+    key: "bmiRisk",
+    label: "BMI-related",
+    inputs: ["BMI_VALUE"],
+    weights: { deliveryType: 1, deliveryMode: 0.2 },
+
+    evaluate(context) {
+        const bmi = context.patientValue("BMI_VALUE");
+        if (!bmi) return { score: 0, band: "no BMI recorded" };
+
+        if (bmi < 18.5 || bmi > 30) return { score: 0.5, band: "BMI < 18.5 or > 30" };
+        if (bmi > 25) return { score: 0.3, band: "BMI 25-30" };
+        return { score: 0.1, band: "BMI 18.5-25" };
+    },
+};
@@ -0,0 +1,33 @@
+// riskFactors/gestationalDiabetes.js
+
+import { findMention, joinText } from "../clinicalUtils.js";
+
+const GDM_TERMS = ["gestational diabetes", "gdm", "gestational diabetes mellitus"];
+const DIABETES_TERMS = [
+    "diabetes", "diabetic", "dm", "type 1 diabetes", "type 2 diabetes", "hyperglycemia",
+    "hyperglycaemia", "high blood sugar", "high sugar", "impaired glucose tolerance", "insulin",
+];
+
+export default {
+    key: "gestationalDiabetes",
+    label: "gestational diabetes",
+    inputs: ["MEDICAL_HISTORY", "COMPLICATIONS"],
+    weights: { deliveryType: 0.75, deliveryMode: 0.15 },
+    presenceOnly: true,
+
+    evaluate(context) {
+        const complications = joinText(context.visitTexts("COMPLICATIONS"));
+        const history = context.patientValue("MEDICAL_HISTORY", "");
+
+        const gdm = findMention(joinText(complications, history), GDM_TERMS);
+        if (gdm) return { score: 0.8, band: `gestational diabetes recorded (${gdm})` };
+
+        const current = findMention(complications, DIABETES_TERMS);
+        if (current) return { score: 0.7, band: `hyperglycaemia in this pregnancy (${current})` };
+
+        const previous = findMention(history, DIABETES_TERMS);
+        if (previous) return { score: 0.5, band: `diabetes in medical history (${previous})` };
+
+        return { score: 0, band: "no diabetes mentioned" };
+    },
+};
@@ -0,0 +1,20 @@
+// riskFactors/growthRestriction.js
+
+export default {
+    key: "growthRestriction",
+    label: "fetal growth restriction",
+    inputs: ["FUNDAL_HEIGHT", "GESTATIONAL_AGE_WEEKS"],
+    weights: { deliveryType: 1, deliveryMode: 0.3 },
+
+    evaluate(context) {
+        const fundal = context.visitValue("FUNDAL_HEIGHT");
+        const ga = context.visitValue("GESTATIONAL_AGE_WEEKS");
+        if (!fundal || !ga) return { score: 0, band: "no fundal height recorded" };
+
+        // Fundal height in cm roughly tracks gestational age in weeks
+        const diff = Math.abs(fundal - ga);
+        if (diff > 4) return { score: 0.7, band: "fundal height differs from GA by > 4 cm" };
+        if (diff > 2) return { score: 0.3, band: "fundal height differs from GA by 2-4 cm" };
+        return { score: 0.1, band: "fundal height within 2 cm of GA" };
+    },
+};
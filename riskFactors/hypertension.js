@@ -0,0 +1,18 @@
+// riskFactors/hypertension.js
+
+export default {
+    key: "hypertension",
+    label: "hypertension",
+    inputs: ["BLOOD_PRESSURE"],
+    weights: { deliveryType: 1, deliveryMode: 0.4 },
+
+    evaluate(context) {
+        const reading = context.visitValue("BLOOD_PRESSURE");
+        if (!reading) return { score: 0, band: "no blood pressure recorded" };
+
+        const bp = context.parseBloodPressure(reading);
+        if (bp.systolic >= 140 || bp.diastolic >= 90) return { score: 0.9, band: "BP >= 140/90" };
+        if (bp.systolic >= 130 || bp.diastolic >= 85) return { score: 0.6, band: "BP >= 130/85" };
+        return { score: 0.1, band: "BP < 130/85" };
+    },
+};
@@ -0,0 +1,38 @@
+// riskFactors/index.js
+//
+// Built-in risk factors. To add a factor, create a module shaped like the
+// ones below and register it:
+//
+//   import { defaultRiskFactorRegistry } from "./riskFactors/index.js";
+//   defaultRiskFactorRegistry.register(myFactor);
+//
+// or build a separate registry and pass it to `new PredictionEngine(visits, patient, { registry })`.
+
+import RiskFactorRegistry from "./RiskFactorRegistry.js";
+import anemia from "./anemia.js";
+import hypertension from "./hypertension.js";
+import growthRestriction from "./growthRestriction.js";
+import pretermRisk from "./pretermRisk.js";
+import maternalAgeRisk from "./maternalAgeRisk.js";
+import bmiRisk from "./bmiRisk.js";
+import preeclampsia from "./preeclampsia.js";
+import gestationalDiabetes from "./gestationalDiabetes.js";
+import multipleGestation from "./multipleGestation.js";
+import previousCSection from "./previousCSection.js";
+
+export const builtInRiskFactors = [
+    anemia,
+    hypertension,
+    growthRestriction,
+    pretermRisk,
+    maternalAgeRisk,
+    bmiRisk,
+    preeclampsia,
+    gestationalDiabetes,
+    multipleGestation,
+    previousCSection,
+];
+
+export const defaultRiskFactorRegistry = new RiskFactorRegistry(builtInRiskFactors);
+
+export { RiskFactorRegistry };
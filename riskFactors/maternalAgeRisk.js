@@ -0,0 +1,15 @@
+// riskFactors/maternalAgeRisk.js
+
+export default {
+    key: "maternalAgeRisk",
+    label: "maternal age",
+    inputs: ["AGE"],
+    weights: { deliveryType: 1, deliveryMode: 0 },
+
+    evaluate(context) {
+        const age = context.patientValue("AGE", 25);
+
+        if (age < 18 || age > 35) return { score: 0.4, band: "age < 18 or > 35" };
+        return { score: 0.1, band: "age 18-35" };
+    },
+};
@@ -0,0 +1,32 @@
+// riskFactors/multipleGestation.js
+
+import { findMention, joinText } from "../clinicalUtils.js";
+
+const HIGHER_ORDER_TERMS = ["triplet", "triplets", "quadruplets", "higher order multiple"];
+const TWIN_TERMS = [
+    "twin", "twins", "twin pregnancy", "multiple gestation", "multiple pregnancy",
+    "dcda", "mcda", "mcma", "dichorionic", "monochorionic",
+];
+
+export default {
+    key: "multipleGestation",
+    label: "multiple gestation",
+    inputs: ["COMPLICATIONS", "MEDICAL_HISTORY"],
+    weights: { deliveryType: 1.5, deliveryMode: 0.3 },
+    presenceOnly: true,
+
+    evaluate(context) {
+        const text = joinText(
+            context.visitTexts("COMPLICATIONS"),
+            context.patientValue("MEDICAL_HISTORY", "")
+        );
+
+        const higherOrder = findMention(text, HIGHER_ORDER_TERMS);
+        if (higherOrder) return { score: 0.9, band: `higher-order multiple (${higherOrder})` };
+
+        const twins = findMention(text, TWIN_TERMS);
+        if (twins) return { score: 0.7, band: `twin pregnancy (${twins})` };
+
+        return { score: 0, band: "singleton / not recorded" };
+    },
+};
@@ -0,0 +1,40 @@
+// riskFactors/preeclampsia.js
+//
+// Combines the latest BP with proteinuria / edema mentions recorded in
+// COMPLICATIONS on any visit of this pregnancy. A raised BP on its own is
+// left to the hypertension factor - here it only grades proteinuria / edema,
+// so the same reading is not counted twice.
+
+import { findMention, joinText } from "../clinicalUtils.js";
+
+const DIAGNOSIS_TERMS = ["preeclampsia", "pre-eclampsia", "pre eclampsia", "eclampsia", "hellp"];
+const PROTEINURIA_TERMS = ["proteinuria", "protein in urine", "urine protein", "urine albumin", "albuminuria"];
+const EDEMA_TERMS = ["edema", "oedema", "pedal edema", "swelling", "puffiness"];
+
+export default {
+    key: "preeclampsia",
+    label: "preeclampsia",
+    inputs: ["BLOOD_PRESSURE", "COMPLICATIONS"],
+    weights: { deliveryType: 1.5, deliveryMode: 0.3 },
+    presenceOnly: true,
+
+    evaluate(context) {
+        const complications = joinText(context.visitTexts("COMPLICATIONS"));
+        const reading = context.visitValue("BLOOD_PRESSURE");
+        const bp = reading ? context.parseBloodPressure(reading) : null;
+
+        const hypertensive = bp && (bp.systolic >= 140 || bp.diastolic >= 90);
+        const severe = bp && (bp.systolic >= 160 || bp.diastolic >= 110);
+        const diagnosis = findMention(complications, DIAGNOSIS_TERMS);
+        const proteinuria = findMention(complications, PROTEINURIA_TERMS);
+        const edema = findMention(complications, EDEMA_TERMS);
+
+        if (diagnosis) return { score: 0.9, band: `recorded diagnosis (${diagnosis})` };
+        if (severe && proteinuria) return { score: 0.9, band: "BP >= 160/110 with proteinuria" };
+        if (hypertensive && proteinuria) return { score: 0.8, band: "BP >= 140/90 with proteinuria" };
+        if (hypertensive && edema) return { score: 0.6, band: "BP >= 140/90 with edema" };
+        if (proteinuria) return { score: 0.3, band: bp ? "proteinuria with normal BP" : "proteinuria, no blood pressure recorded" };
+        if (edema) return { score: 0.15, band: bp ? "edema with normal BP" : "edema, no blood pressure recorded" };
+        return { score: 0, band: "no proteinuria, edema or recorded diagnosis" };
+    },
+};
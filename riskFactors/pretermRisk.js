@@ -0,0 +1,16 @@
+// riskFactors/pretermRisk.js
+
+export default {
+    key: "pretermRisk",
+    label: "preterm delivery",
+    inputs: ["GESTATIONAL_AGE_WEEKS", "PARITY", "MEDICAL_HISTORY"],
+    weights: { deliveryType: 1, deliveryMode: 0 },
+
+    evaluate(context) {
+        const ga = context.visitValue("GESTATIONAL_AGE_WEEKS");
+
+        if (ga < 37 && context.hasPretermHistory()) return { score: 0.6, band: "previous preterm birth, GA < 37 weeks" };
+        if (ga < 32) return { score: 0.3, band: "GA < 32 weeks" };
+        return { score: 0.1, band: "GA >= 32 weeks, no preterm history" };
+    },
+};
@@ -0,0 +1,28 @@
+// riskFactors/previousCSection.js
+
+import { findMention } from "../clinicalUtils.js";
+
+const CSECTION_TERMS = [
+    "c-section", "c section", "cesarean", "caesarean", "lscs", "cs scar", "scarred uterus", "previous cs",
+];
+const REPEAT_TERMS = ["2 lscs", "two lscs", "two c-sections", "2 c-sections", "repeat lscs", "repeat cesarean", "repeat caesarean"];
+
+export default {
+    key: "previousCSection",
+    label: "previous C-section",
+    inputs: ["MEDICAL_HISTORY"],
+    weights: { deliveryType: 0.25, deliveryMode: 0.5 },
+    presenceOnly: true,
+
+    evaluate(context) {
+        const history = context.patientValue("MEDICAL_HISTORY", "");
+
+        const repeat = findMention(history, REPEAT_TERMS);
+        if (repeat) return { score: 0.9, band: `two or more previous C-sections (${repeat})` };
+
+        const previous = findMention(history, CSECTION_TERMS);
+        if (previous) return { score: 0.7, band: `previous C-section (${previous})` };
+
+        return { score: 0, band: "no previous C-section recorded" };
+    },
+};
@@ -0,0 +1,280 @@
+// Small numeric helpers shared by the prediction engine and analytics
+
+export function mean(values) {
+    if (!values.length) return null;
+    return values.reduce((a, b) => a + b, 0) / values.length;
+}
+
+// Sample standard deviation (n - 1)
+export function standardDeviation(values) {
+    if (values.length < 2) return null;
+    const avg = mean(values);
+    const variance = values.reduce((total, v) => total + (v - avg) ** 2, 0) / (values.length - 1);
+    return Math.sqrt(variance);
+}
+
+// Least-squares line through [{ x, y }] points
+export function linearFit(points) {
+    if (points.length < 2) return null;
+    const xMean = mean(points.map((p) => p.x));
+    const yMean = mean(points.map((p) => p.y));
+    let sxx = 0;
+    let sxy = 0;
+    points.forEach((p) => {
+        sxx += (p.x - xMean) ** 2;
+        sxy += (p.x - xMean) * (p.y - yMean);
+    });
+    const slope = sxx > 0 ? sxy / sxx : 0;
+    return { slope, intercept: yMean - slope * xMean };
+}
+
+// Spread of the points around their own linear trend (n - 2 degrees of freedom)
+export function residualStandardDeviation(points) {
+    if (points.length < 3) return null;
+    const fit = linearFit(points);
+    const sse = points.reduce((total, p) => total + (p.y - (fit.intercept + fit.slope * p.x)) ** 2, 0);
+    return Math.sqrt(sse / (points.length - 2));
+}
+
+// Standard normal CDF (Abramowitz & Stegun 7.1.26, |error| < 1.5e-7)
+export function normalCdf(z) {
+    const x = Math.abs(z) / Math.SQRT2;
+    const t = 1 / (1 + 0.3275911 * x);
+    const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+    return z >= 0 ? 0.5 * (1 + erf) : 0.5 * (1 - erf);
+}
+
+// Inverse standard normal CDF (Acklam's rational approximation, relative error < 1.2e-9)
+export function normalQuantile(p) {
+    if (!(p > 0 && p < 1)) return p === 0 ? -Infinity : p === 1 ? Infinity : NaN;
+    const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.357751867269, -30.66479806614716, 2.506628277459239];
+    const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+    const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+    const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+    const tail = (q) =>
+        (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+        ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+
+    if (p < 0.02425) return tail(Math.sqrt(-2 * Math.log(p)));
+    if (p > 1 - 0.02425) return -tail(Math.sqrt(-2 * Math.log(1 - p)));
+    const q = p - 0.5;
+    const r = q * q;
+    return ((((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q) /
+        (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+// Wilson score interval for a proportion; stays inside [0, 1] and behaves at
+// small n / rates near 0 or 1. null when n is 0.
+export function wilsonInterval(successes, n, confidence = 0.95) {
+    if (!n) return null;
+    const z = normalQuantile(1 - (1 - confidence) / 2);
+    const p = successes / n;
+    const denominator = 1 + (z * z) / n;
+    const centre = (p + (z * z) / (2 * n)) / denominator;
+    const halfWidth = (z * Math.sqrt((p * (1 - p)) / n + (z * z) / (4 * n * n))) / denominator;
+    return { lower: Math.max(0, centre - halfWidth), upper: Math.min(1, centre + halfWidth) };
+}
+
+// --- Probabilistic forecast scoring (binary outcomes, outcome = 0 | 1) ---
+
+export function brierScore(predictions, outcomes) {
+    if (!predictions.length) return null;
+    return mean(predictions.map((p, i) => (p - outcomes[i]) ** 2));
+}
+
+// Area under the ROC curve via the Mann-Whitney rank statistic (ties count 1/2).
+// null when only one class is present.
+export function rocAuc(predictions, outcomes) {
+    const ranked = predictions
+        .map((p, i) => ({ p, y: outcomes[i] }))
+        .sort((a, b) => a.p - b.p);
+    const positives = ranked.filter((r) => r.y === 1).length;
+    const negatives = ranked.length - positives;
+    if (positives === 0 || negatives === 0) return null;
+
+    let rankSumPositives = 0;
+    for (let i = 0; i < ranked.length;) {
+        let j = i;
+        while (j < ranked.length && ranked[j].p === ranked[i].p) j++;
+        const averageRank = (i + 1 + j) / 2;
+        for (let k = i; k < j; k++) {
+            if (ranked[k].y === 1) rankSumPositives += averageRank;
+        }
+        i = j;
+    }
+    return (rankSumPositives - (positives * (positives + 1)) / 2) / (positives * negatives);
+}
+
+// Equal-width probability bins: mean predicted vs observed rate per bin
+export function calibrationCurve(predictions, outcomes, binCount = 10) {
+    const bins = Array.from({ length: binCount }, (_, i) => ({
+        lower: i / binCount,
+        upper: (i + 1) / binCount,
+        predicted: [],
+        observed: [],
+    }));
+    predictions.forEach((p, i) => {
+        const index = Math.min(binCount - 1, Math.max(0, Math.floor(p * binCount)));
+        bins[index].predicted.push(p);
+        bins[index].observed.push(outcomes[i]);
+    });
+    return bins
+        .filter((bin) => bin.predicted.length > 0)
+        .map((bin) => ({
+            lower: bin.lower,
+            upper: bin.upper,
+            count: bin.predicted.length,
+            meanPredicted: mean(bin.predicted),
+            observedRate: mean(bin.observed),
+        }));
+}
+
+export function meanAbsoluteError(predicted, actual) {
+    if (!predicted.length) return null;
+    return mean(predicted.map((p, i) => Math.abs(p - actual[i])));
+}
+
+// --- Group comparisons (cohort analytics) ---
+
+export function median(values) {
+    if (!values.length) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// ln Γ(x) (Lanczos, g = 7)
+export function logGamma(x) {
+    const c = [0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313,
+        -176.61502916214059, 12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7];
+    if (x < 0.5) return Math.log(Math.PI / Math.sin(Math.PI * x)) - logGamma(1 - x);
+    const z = x - 1;
+    let sum = c[0];
+    for (let i = 1; i < 9; i++) sum += c[i] / (z + i);
+    const t = z + 7.5;
+    return 0.5 * Math.log(2 * Math.PI) + (z + 0.5) * Math.log(t) - t + Math.log(sum);
+}
+
+// Continued fraction for the incomplete beta function (modified Lentz)
+function betaContinuedFraction(x, a, b) {
+    const tiny = 1e-300;
+    let c = 1;
+    let d = 1 - ((a + b) * x) / (a + 1);
+    d = 1 / (Math.abs(d) < tiny ? tiny : d);
+    let h = d;
+    for (let m = 1; m <= 300; m++) {
+        const m2 = 2 * m;
+        let aa = (m * (b - m) * x) / ((a + m2 - 1) * (a + m2));
+        d = 1 / (Math.abs(1 + aa * d) < tiny ? tiny : 1 + aa * d);
+        c = Math.abs(1 + aa / c) < tiny ? tiny : 1 + aa / c;
+        h *= d * c;
+        aa = (-(a + m) * (a + b + m) * x) / ((a + m2) * (a + m2 + 1));
+        d = 1 / (Math.abs(1 + aa * d) < tiny ? tiny : 1 + aa * d);
+        c = Math.abs(1 + aa / c) < tiny ? tiny : 1 + aa / c;
+        const delta = d * c;
+        h *= delta;
+        if (Math.abs(delta - 1) < 1e-12) break;
+    }
+    return h;
+}
+
+// Regularized incomplete beta I_x(a, b)
+export function incompleteBeta(x, a, b) {
+    if (x <= 0) return 0;
+    if (x >= 1) return 1;
+    const front = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x));
+    return x < (a + 1) / (a + b + 2)
+        ? (front * betaContinuedFraction(x, a, b)) / a
+        : 1 - (front * betaContinuedFraction(1 - x, b, a)) / b;
+}
+
+// Student t CDF with (possibly fractional) degrees of freedom
+export function studentTCdf(t, df) {
+    const tail = 0.5 * incompleteBeta(df / (df + t * t), df / 2, 0.5);
+    return t >= 0 ? 1 - tail : tail;
+}
+
+// Inverse Student t CDF by bisection (p in (0, 1))
+export function studentTQuantile(p, df) {
+    let [low, high] = [-1000, 1000];
+    for (let i = 0; i < 100; i++) {
+        const middle = (low + high) / 2;
+        if (studentTCdf(middle, df) < p) low = middle;
+        else high = middle;
+    }
+    return (low + high) / 2;
+}
+
+// Welch's unequal-variance t-test of mean(a) - mean(b); null with fewer than 2 values per group
+export function welchTTest(a, b, confidence = 0.95) {
+    if (a.length < 2 || b.length < 2) return null;
+    const [va, vb] = [standardDeviation(a) ** 2 / a.length, standardDeviation(b) ** 2 / b.length];
+    const difference = mean(a) - mean(b);
+    const se = Math.sqrt(va + vb);
+    if (se === 0) return { difference, t: null, df: null, pValue: null, ci: { lower: difference, upper: difference } };
+    const df = (va + vb) ** 2 / (va ** 2 / (a.length - 1) + vb ** 2 / (b.length - 1));
+    const t = difference / se;
+    const margin = studentTQuantile(1 - (1 - confidence) / 2, df) * se;
+    return {
+        difference,
+        t,
+        df,
+        pValue: 2 * (1 - studentTCdf(Math.abs(t), df)),
+        ci: { lower: difference - margin, upper: difference + margin },
+    };
+}
+
+// Hedges' g: Cohen's d on the pooled SD with the small-sample correction
+export function hedgesG(a, b) {
+    if (a.length < 2 || b.length < 2) return null;
+    const n = a.length + b.length;
+    const pooled = Math.sqrt(((a.length - 1) * standardDeviation(a) ** 2 + (b.length - 1) * standardDeviation(b) ** 2) / (n - 2));
+    if (pooled === 0) return null;
+    return ((mean(a) - mean(b)) / pooled) * (1 - 3 / (4 * n - 9));
+}
+
+// Mann-Whitney U test (normal approximation with tie and continuity
+// corrections); rankBiserial > 0 means values in `a` tend to be larger
+export function mannWhitneyU(a, b) {
+    if (!a.length || !b.length) return null;
+    const ranked = [...a.map((v) => ({ v, g: 0 })), ...b.map((v) => ({ v, g: 1 }))].sort((x, y) => x.v - y.v);
+    const n = ranked.length;
+    let rankSumA = 0;
+    let tieTerm = 0;
+    for (let i = 0; i < n;) {
+        let j = i;
+        while (j < n && ranked[j].v === ranked[i].v) j++;
+        const averageRank = (i + 1 + j) / 2;
+        for (let k = i; k < j; k++) if (ranked[k].g === 0) rankSumA += averageRank;
+        tieTerm += (j - i) ** 3 - (j - i);
+        i = j;
+    }
+    const u = rankSumA - (a.length * (a.length + 1)) / 2;
+    const expected = (a.length * b.length) / 2;
+    const variance = ((a.length * b.length) / 12) * (n + 1 - tieTerm / (n * (n - 1)));
+    const z = variance > 0 ? (Math.abs(u - expected) - 0.5) / Math.sqrt(variance) : null;
+    return {
+        u,
+        z,
+        pValue: z === null ? null : Math.min(1, 2 * (1 - normalCdf(Math.max(0, z)))),
+        rankBiserial: (2 * u) / (a.length * b.length) - 1,
+    };
+}
+
+const logFactorial = (n) => logGamma(n + 1);
+
+// Two-sided Fisher's exact test for the 2x2 table [[a, b], [c, d]]
+export function fisherExact(a, b, c, d) {
+    const [row1, col1, n] = [a + b, a + c, a + b + c + d];
+    if (n === 0) return null;
+    const logP = (x) =>
+        logFactorial(row1) + logFactorial(n - row1) + logFactorial(col1) + logFactorial(n - col1) -
+        logFactorial(n) - logFactorial(x) - logFactorial(row1 - x) - logFactorial(col1 - x) - logFactorial(n - row1 - col1 + x);
+    const observed = logP(a);
+    let pValue = 0;
+    for (let x = Math.max(0, row1 + col1 - n); x <= Math.min(row1, col1); x++) {
+        const lp = logP(x);
+        if (lp <= observed + 1e-7) pValue += Math.exp(lp);
+    }
+    return Math.min(1, pValue);
+}
@@ -0,0 +1,114 @@
+// trendAnomalies.js
+//
+// Walks a patient's visits in GA order and flags sudden changes between
+// consecutive visits that a first-vs-last trend would hide:
+//   - systolic rise >= 20 mmHg / diastolic rise >= 15 mmHg
+//   - haemoglobin drop > 1 g/dL
+//   - weight loss in the third trimester (GA >= 28)
+//   - fundal height not increasing over two consecutive intervals
+// Each event: { type, severity: "moderate" | "high", visitDate, gestationalAge, previous, current, change, message }
+
+import { parseBloodPressureReading } from "./clinicalUtils.js";
+
+const THIRD_TRIMESTER_GA = 28;
+
+const numberOrNull = (value) => {
+    if (value === null || value === undefined || value === "") return null;
+    const number = Number(value);
+    return Number.isNaN(number) ? null : number;
+};
+
+const round = (value) => Number(value.toFixed(1));
+
+function event(type, severity, visit, previous, current, message) {
+    return {
+        type,
+        severity,
+        visitDate: visit.VISIT_DATE ?? null,
+        gestationalAge: visit.GESTATIONAL_AGE_WEEKS,
+        previous,
+        current,
+        change: round(current - previous),
+        message,
+    };
+}
+
+function checkBloodPressure(prev, curr, events) {
+    const before = parseBloodPressureReading(prev.BLOOD_PRESSURE);
+    const after = parseBloodPressureReading(curr.BLOOD_PRESSURE);
+    if (!before || !after) return;
+
+    const systolicRise = after.systolic - before.systolic;
+    if (systolicRise >= 20) {
+        const severity = systolicRise >= 30 || after.systolic >= 140 ? "high" : "moderate";
+        events.push(event("systolicJump", severity, curr, before.systolic, after.systolic,
+            `Systolic BP rose ${systolicRise} mmHg (${before.systolic} -> ${after.systolic})`));
+    }
+
+    const diastolicRise = after.diastolic - before.diastolic;
+    if (diastolicRise >= 15) {
+        const severity = diastolicRise >= 20 || after.diastolic >= 90 ? "high" : "moderate";
+        events.push(event("diastolicJump", severity, curr, before.diastolic, after.diastolic,
+            `Diastolic BP rose ${diastolicRise} mmHg (${before.diastolic} -> ${after.diastolic})`));
+    }
+}
+
+function checkHemoglobin(prev, curr, events) {
+    const before = numberOrNull(prev.HEMOGLOBIN_LEVEL);
+    const after = numberOrNull(curr.HEMOGLOBIN_LEVEL);
+    if (before === null || after === null) return;
+
+    const drop = before - after;
+    if (drop > 1) {
+        const severity = drop > 2 || after < 9 ? "high" : "moderate";
+        events.push(event("hemoglobinDrop", severity, curr, before, after,
+            `Haemoglobin fell ${round(drop)} g/dL (${before} -> ${after})`));
+    }
+}
+
+function checkWeight(prev, curr, events) {
+    if (curr.GESTATIONAL_AGE_WEEKS < THIRD_TRIMESTER_GA) return;
+    const before = numberOrNull(prev.MATERNAL_WEIGHT);
+    const after = numberOrNull(curr.MATERNAL_WEIGHT);
+    if (before === null || after === null) return;
+
+    const loss = before - after;
+    if (loss > 0.5) {
+        events.push(event("thirdTrimesterWeightLoss", loss >= 2 ? "high" : "moderate", curr, before, after,
+            `Lost ${round(loss)} kg in the third trimester (${before} -> ${after} kg)`));
+    }
+}
+
+// Fundal height flat or falling across two consecutive intervals
+function checkFundalStall(visits, events) {
+    const measured = visits.filter((v) => numberOrNull(v.FUNDAL_HEIGHT) !== null);
+    for (let i = 2; i < measured.length; i++) {
+        const [a, b, c] = [measured[i - 2], measured[i - 1], measured[i]];
+        const [fa, fb, fc] = [a, b, c].map((v) => Number(v.FUNDAL_HEIGHT));
+        if (fb <= fa && fc <= fb) {
+            const weeks = c.GESTATIONAL_AGE_WEEKS - a.GESTATIONAL_AGE_WEEKS;
+            events.push(event("fundalHeightStall", weeks >= 4 ? "high" : "moderate", c, fa, fc,
+                `Fundal height has not increased over ${round(weeks)} weeks (${fa} -> ${fb} -> ${fc} cm)`));
+        }
+    }
+}
+
+export function detectAnomalies(visits) {
+    const ordered = (visits || [])
+        .filter((v) => numberOrNull(v.GESTATIONAL_AGE_WEEKS) > 0)
+        .map((v) => ({ ...v, GESTATIONAL_AGE_WEEKS: Number(v.GESTATIONAL_AGE_WEEKS) }))
+        .sort((a, b) => a.GESTATIONAL_AGE_WEEKS - b.GESTATIONAL_AGE_WEEKS);
+
+    const events = [];
+    for (let i = 1; i < ordered.length; i++) {
+        const [prev, curr] = [ordered[i - 1], ordered[i]];
+        // Same-week entries are duplicates, not a trend
+        if (curr.GESTATIONAL_AGE_WEEKS === prev.GESTATIONAL_AGE_WEEKS) continue;
+        checkBloodPressure(prev, curr, events);
+        checkHemoglobin(prev, curr, events);
+        checkWeight(prev, curr, events);
+    }
+    checkFundalStall(ordered, events);
+
+    return events.sort((a, b) => a.gestationalAge - b.gestationalAge);
+}
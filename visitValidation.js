@@ -0,0 +1,236 @@
+// visitValidation.js
+//
+// Range and unit checks for raw visit rows before they reach the prediction
+// engine. Values are converted when the unit can be inferred (Hb in g/L,
+// weight in lb), dropped when implausible, and every change is reported so
+// the caller can show what was corrected or rejected.
+
+const LB_PER_KG = 2.20462;
+
+// Plausible ranges in the units the engine works with
+export const PLAUSIBLE_RANGES = {
+    GESTATIONAL_AGE_WEEKS: { min: 4, max: 45, unit: "weeks" },
+    MATERNAL_WEIGHT: { min: 30, max: 200, unit: "kg" },
+    HEMOGLOBIN_LEVEL: { min: 3, max: 20, unit: "g/dL" },
+    FETAL_HEART_RATE: { min: 50, max: 220, unit: "bpm" },
+    FUNDAL_HEIGHT: { min: 5, max: 50, unit: "cm" },
+    SYSTOLIC: { min: 60, max: 260, unit: "mmHg" },
+    DIASTOLIC: { min: 30, max: 160, unit: "mmHg" },
+};
+
+const isBlank = (value) => value === null || value === undefined || (typeof value === "string" && value.trim() === "");
+
+const round = (value, decimals = 1) => Number(value.toFixed(decimals));
+
+const inRange = (value, field) => value >= PLAUSIBLE_RANGES[field].min && value <= PLAUSIBLE_RANGES[field].max;
+
+const rangeText = (field) => {
+    const { min, max, unit } = PLAUSIBLE_RANGES[field];
+    return `${min}-${max} ${unit}`;
+};
+
+function toNumber(value) {
+    if (isBlank(value)) return null;
+    const number = typeof value === "number" ? value : Number(String(value).trim());
+    return Number.isNaN(number) ? undefined : number;
+}
+
+const median = (values) => {
+    if (!values.length) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+// Each checker returns { value, issue } where issue is null when untouched
+function checkNumeric(field, raw, convert) {
+    const number = toNumber(raw);
+    if (number === null) return { value: null, issue: null };
+    if (number === undefined) {
+        return { value: null, issue: { field, original: raw, value: null, action: "rejected", reason: "not a number" } };
+    }
+    if (inRange(number, field)) return { value: number, issue: null };
+
+    const converted = convert ? convert(number) : null;
+    if (converted && inRange(converted.value, field)) {
+        return {
+            value: converted.value,
+            issue: { field, original: raw, value: converted.value, action: "corrected", reason: converted.reason },
+        };
+    }
+    return {
+        value: null,
+        issue: { field, original: raw, value: null, action: "rejected", reason: `outside plausible range ${rangeText(field)}` },
+    };
+}
+
+const hemoglobinUnits = (value) =>
+    value >= 30 && value <= 200 ? { value: round(value / 10), reason: "converted from g/L to g/dL" } : null;
+
+const weightUnits = (value) =>
+    value > PLAUSIBLE_RANGES.MATERNAL_WEIGHT.max
+        ? { value: round(value / LB_PER_KG), reason: "converted from lb to kg" }
+        : null;
+
+// Weight that is in range but ~2.2x the patient's other weights was almost
+// certainly entered in lb
+function checkWeightAgainstSeries(value, otherWeights) {
+    const typical = median(otherWeights);
+    if (value === null || typical === null) return null;
+    const asKg = value / LB_PER_KG;
+    if (value > typical * 1.8 && Math.abs(asKg - typical) / typical <= 0.15) {
+        return { value: round(asKg), reason: "converted from lb to kg (≈2.2x the patient's other weights)" };
+    }
+    return null;
+}
+
+// Accepts "120/80", "120 / 80", "120-80", "BP 120/80 mmHg"; swaps reversed readings
+function checkBloodPressure(raw) {
+    if (isBlank(raw)) return { value: null, issue: null };
+    const text = String(raw).trim();
+    const reject = (reason) => ({
+        value: null,
+        issue: { field: "BLOOD_PRESSURE", original: raw, value: null, action: "rejected", reason },
+    });
+
+    const match = text.match(/^(?:bp\s*[:-]?\s*)?(\d{2,3})\s*[/\\-]\s*(\d{2,3})\s*(?:mm\s*hg)?$/i);
+    if (!match) return reject("malformed blood pressure (expected systolic/diastolic)");
+
+    let systolic = Number(match[1]);
+    let diastolic = Number(match[2]);
+    const reasons = [];
+    if (diastolic > systolic) {
+        [systolic, diastolic] = [diastolic, systolic];
+        reasons.push("systolic and diastolic swapped");
+    }
+    if (!inRange(systolic, "SYSTOLIC")) return reject(`systolic outside plausible range ${rangeText("SYSTOLIC")}`);
+    if (!inRange(diastolic, "DIASTOLIC")) return reject(`diastolic outside plausible range ${rangeText("DIASTOLIC")}`);
+    if (systolic - diastolic < 10) return reject("pulse pressure below 10 mmHg");
+
+    const value = `${systolic}/${diastolic}`;
+    if (value !== text) {
+        if (reasons.length === 0) reasons.push("reformatted");
+        return { value, issue: { field: "BLOOD_PRESSURE", original: raw, value, action: "corrected", reason: reasons.join(", ") } };
+    }
+    return { value, issue: null };
+}
+
+function checkDate(raw) {
+    if (isBlank(raw)) return { value: null, issue: null };
+    const date = new Date(raw);
+    if (Number.isNaN(date.getTime())) {
+        return { value: null, issue: { field: "VISIT_DATE", original: raw, value: null, action: "rejected", reason: "invalid date" } };
+    }
+    return { value: raw, issue: null };
+}
+
+const measurementCount = (visit) =>
+    ["MATERNAL_WEIGHT", "FUNDAL_HEIGHT", "HEMOGLOBIN_LEVEL", "BLOOD_PRESSURE", "FETAL_HEART_RATE", "COMPLICATIONS"]
+        .filter((field) => visit[field] !== null).length;
+
+// One visit on its own: unit conversion, BP normalisation and range checks,
+// without the series checks (lb weights in range, duplicates) below.
+// Returns { cleaned, issues }; cleaned BLOOD_PRESSURE is always "systolic/diastolic".
+export function cleanVisitValues(raw) {
+    const issues = [];
+    const take = ({ value, issue }) => {
+        if (issue) issues.push(issue);
+        return value;
+    };
+    const visit = raw || {};
+
+    const cleaned = {
+        GESTATIONAL_AGE_WEEKS: take(checkNumeric("GESTATIONAL_AGE_WEEKS", visit.GESTATIONAL_AGE_WEEKS)),
+        MATERNAL_WEIGHT: take(checkNumeric("MATERNAL_WEIGHT", visit.MATERNAL_WEIGHT, weightUnits)),
+        FUNDAL_HEIGHT: take(checkNumeric("FUNDAL_HEIGHT", visit.FUNDAL_HEIGHT)),
+        HEMOGLOBIN_LEVEL: take(checkNumeric("HEMOGLOBIN_LEVEL", visit.HEMOGLOBIN_LEVEL, hemoglobinUnits)),
+        BLOOD_PRESSURE: take(checkBloodPressure(visit.BLOOD_PRESSURE)),
+        FETAL_HEART_RATE: take(checkNumeric("FETAL_HEART_RATE", visit.FETAL_HEART_RATE)),
+        COMPLICATIONS: isBlank(visit.COMPLICATIONS) ? null : visit.COMPLICATIONS,
+        VISIT_DATE: take(checkDate(visit.VISIT_DATE)),
+    };
+    return { cleaned, issues };
+}
+
+// Returns { visits, report }. `visits` holds the cleaned rows (sorted by GA),
+// `report` lists every visit that had a value corrected or was rejected.
+export function validateVisitRecords(rawVisits) {
+    const rows = Array.isArray(rawVisits) ? rawVisits : [];
+    const entries = rows.map((raw, index) => {
+        const visit = raw || {};
+        const { cleaned, issues } = cleanVisitValues(visit);
+
+        let rejectedReason = null;
+        if (cleaned.GESTATIONAL_AGE_WEEKS === null) {
+            rejectedReason = issues.some((i) => i.field === "GESTATIONAL_AGE_WEEKS")
+                ? "gestational age rejected"
+                : "missing gestational age";
+        }
+        return { index, raw: visit, cleaned, issues, rejectedReason };
+    });
+
+    // Second pass: weights entered in lb that still fall inside the kg range
+    const accepted = entries.filter((e) => !e.rejectedReason);
+    accepted.forEach((entry) => {
+        const others = accepted
+            .filter((e) => e !== entry && e.cleaned.MATERNAL_WEIGHT !== null)
+            .map((e) => e.cleaned.MATERNAL_WEIGHT);
+        const converted = checkWeightAgainstSeries(entry.cleaned.MATERNAL_WEIGHT, others);
+        if (converted) {
+            entry.issues.push({
+                field: "MATERNAL_WEIGHT",
+                original: entry.raw.MATERNAL_WEIGHT,
+                value: converted.value,
+                action: "corrected",
+                reason: converted.reason,
+            });
+            entry.cleaned.MATERNAL_WEIGHT = converted.value;
+        }
+    });
+
+    // Duplicates at the same GA: keep the most complete row (latest date on ties)
+    const byGA = new Map();
+    accepted.forEach((entry) => {
+        const key = round(entry.cleaned.GESTATIONAL_AGE_WEEKS);
+        if (!byGA.has(key)) byGA.set(key, []);
+        byGA.get(key).push(entry);
+    });
+    byGA.forEach((group) => {
+        if (group.length < 2) return;
+        const keep = group.reduce((best, entry) => {
+            const diff = measurementCount(entry.cleaned) - measurementCount(best.cleaned);
+            if (diff !== 0) return diff > 0 ? entry : best;
+            return new Date(entry.cleaned.VISIT_DATE || 0) > new Date(best.cleaned.VISIT_DATE || 0) ? entry : best;
+        });
+        group.filter((entry) => entry !== keep).forEach((entry) => {
+            entry.rejectedReason = `duplicate of visit #${keep.index} at ${keep.cleaned.GESTATIONAL_AGE_WEEKS} weeks`;
+        });
+    });
+
+    const visits = entries
+        .filter((e) => !e.rejectedReason)
+        .map((e) => e.cleaned)
+        .sort((a, b) => a.GESTATIONAL_AGE_WEEKS - b.GESTATIONAL_AGE_WEEKS);
+
+    const reported = entries.filter((e) => e.rejectedReason || e.issues.length > 0);
+    const allIssues = entries.flatMap((e) => e.issues);
+
+    return {
+        visits,
+        report: {
+            totalVisits: entries.length,
+            acceptedVisits: visits.length,
+            rejectedVisits: entries.length - visits.length,
+            correctedValues: allIssues.filter((i) => i.action === "corrected").length,
+            rejectedValues: allIssues.filter((i) => i.action === "rejected").length,
+            visits: reported.map((e) => ({
+                index: e.index,
+                VISIT_DATE: e.raw.VISIT_DATE ?? null,
+                GESTATIONAL_AGE_WEEKS: e.raw.GESTATIONAL_AGE_WEEKS ?? null,
+                status: e.rejectedReason ? "rejected" : "accepted",
+                reason: e.rejectedReason,
+                issues: e.issues,
+            })),
+        },
+    };
+}
@@ -0,0 +1,121 @@
+// worklist.js
+//
+// High-risk worklist across every ongoing pregnancy. The prediction engine
+// runs once per patient when the ongoing cache loads; requests only filter,
+// sort and page the precomputed entries.
+
+import PredictionEngine from "./PredictionEngine.js";
+import { groupByPatientId, latestVisitOf } from "./clinicalUtils.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RISK_LEVEL_ORDER = { high: 3, moderate: 2, low: 1, unknown: 0 };
+
+export const RISK_LEVELS = Object.keys(RISK_LEVEL_ORDER);
+
+export const WORKLIST_SORT_FIELDS = ["risk", "ga", "lastVisit", "daysSinceLastVisit", "name"];
+
+let entries = [];
+let builtAt = null;
+
+function buildEntry(patient, visits) {
+    const risk = new PredictionEngine(visits, patient).assessRisk();
+    const lastVisit = latestVisitOf(visits);
+    const lastVisitDate = lastVisit?.VISIT_DATE ? new Date(lastVisit.VISIT_DATE) : null;
+
+    return {
+        PATIENT_ID: patient.PATIENT_ID,
+        PATIENT_NAME: `${patient.FIRST_NAME || ""} ${patient.LAST_NAME || ""}`.trim() || "Unknown Name",
+        ADDRESS: patient.ADDRESS ?? null,
+        BMI_STATUS: patient.BMI_STATUS ?? null,
+        SOURCE_SCHEMA: patient.SOURCE_SCHEMA ?? null,
+        overallRisk: risk?.overallRisk ?? null,
+        riskLevel: risk?.riskLevel ?? "unknown",
+        primaryRisk: risk?.primaryRisk ?? null,
+        primaryRiskLabel: risk?.primaryRiskLabel ?? null,
+        primaryRiskScore: risk?.primaryRiskScore ?? null,
+        lastRecordedGA: risk?.currentGestationalAge ?? null,
+        lastVisitDate: lastVisitDate && !Number.isNaN(lastVisitDate.getTime()) ? lastVisitDate.toISOString() : null,
+        earlyWarningLevel: lastVisit?.earlyWarning?.level ?? null,
+        visitCount: visits.length,
+    };
+}
+
+export function rebuildWorklist(patients, visits) {
+    const startTime = Date.now();
+    const visitsByPatient = groupByPatientId(visits);
+
+    entries = (patients || []).map((patient) =>
+        buildEntry(patient, visitsByPatient.get(String(patient.PATIENT_ID)) || [])
+    );
+    builtAt = new Date().toISOString();
+
+    console.log(`📋 Worklist built for ${entries.length} ongoing patients in ${Date.now() - startTime}ms`);
+    return entries.length;
+}
+
+// PATIENT_ID -> riskLevel from the current worklist
+export function riskLevelsByPatient() {
+    return new Map(entries.map((entry) => [String(entry.PATIENT_ID), entry.riskLevel]));
+}
+
+// Days since the last visit and today's GA depend on "now", so they are
+// filled in per request rather than when the worklist is built
+function withTimeFields(entry, now) {
+    if (!entry.lastVisitDate) {
+        return { ...entry, daysSinceLastVisit: null, currentGA: entry.lastRecordedGA };
+    }
+    const days = Math.max(0, Math.floor((now - new Date(entry.lastVisitDate).getTime()) / DAY_MS));
+    return {
+        ...entry,
+        daysSinceLastVisit: days,
+        currentGA: entry.lastRecordedGA !== null ? Number((entry.lastRecordedGA + days / 7).toFixed(1)) : null,
+    };
+}
+
+const SORTERS = {
+    risk: (a, b) =>
+        (a.overallRisk ?? -1) - (b.overallRisk ?? -1) ||
+        RISK_LEVEL_ORDER[a.riskLevel] - RISK_LEVEL_ORDER[b.riskLevel],
+    ga: (a, b) => (a.currentGA ?? -1) - (b.currentGA ?? -1),
+    lastVisit: (a, b) => new Date(a.lastVisitDate || 0) - new Date(b.lastVisitDate || 0),
+    daysSinceLastVisit: (a, b) => (a.daysSinceLastVisit ?? -1) - (b.daysSinceLastVisit ?? -1),
+    name: (a, b) => a.PATIENT_NAME.localeCompare(b.PATIENT_NAME),
+};
+
+// query: { riskLevels[], gaMin, gaMax, address, bmiStatus, sort, order, page, pageSize }
+export function queryWorklist({
+    riskLevels = [],
+    gaMin = null,
+    gaMax = null,
+    address = null,
+    bmiStatus = null,
+    sort = "risk",
+    order = "desc",
+    page = 1,
+    pageSize = 25,
+} = {}) {
+    const now = Date.now();
+    const addressFilter = address ? address.toLowerCase() : null;
+    const bmiFilter = bmiStatus ? bmiStatus.toLowerCase() : null;
+
+    const filtered = entries
+        .map((entry) => withTimeFields(entry, now))
+        .filter((entry) => riskLevels.length === 0 || riskLevels.includes(entry.riskLevel))
+        .filter((entry) => gaMin === null || (entry.currentGA !== null && entry.currentGA >= gaMin))
+        .filter((entry) => gaMax === null || (entry.currentGA !== null && entry.currentGA <= gaMax))
+        .filter((entry) => !addressFilter || (entry.ADDRESS || "").toLowerCase().includes(addressFilter))
+        .filter((entry) => !bmiFilter || (entry.BMI_STATUS || "").toLowerCase() === bmiFilter);
+
+    const direction = order === "asc" ? 1 : -1;
+    filtered.sort((a, b) => direction * SORTERS[sort](a, b));
+
+    const start = (page - 1) * pageSize;
+    return {
+        items: filtered.slice(start, start + pageSize),
+        total: filtered.length,
+        page,
+        pageSize,
+        totalPages: Math.ceil(filtered.length / pageSize),
+        builtAt,
+    };
+}